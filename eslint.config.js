@@ -0,0 +1,29 @@
+const js = require('@eslint/js');
+const globals = require('globals');
+
+module.exports = [
+    js.configs.recommended,
+    {
+        languageOptions: {
+            ecmaVersion: 'latest',
+            sourceType: 'module',
+            globals: globals.node
+        },
+        rules: {
+            'no-unused-vars': ['error', { args: 'none', caughtErrors: 'none' }]
+        }
+    },
+    {
+        // the sync helpers return their status code from finally
+        files: ['lib/file.js'],
+        rules: {
+            'no-unsafe-finally': 'off'
+        }
+    },
+    {
+        files: ['test/**/*.js'],
+        languageOptions: {
+            globals: globals.mocha
+        }
+    }
+];
@@ -16,9 +16,29 @@ import {
     ERROR,
     FILE,
     DIR,
+    BufferedFileReader,
+    FileAttributes,
     FileInputStream,
+    FileOutputStream,
     FilenameFilter,
+    FileWatcher,
+    GlobFilter,
+    PosixFilePermissions,
+    RandomAccessFile,
+    ZipFile,
     File} from './lib/file';
+import {
+    FileError,
+    AccessDeniedError,
+    EndOfFileError,
+    FileExistsError,
+    FileNotFoundError,
+    FileNotOpenError,
+    IllegalArgumentError,
+    LockError,
+    MoveError,
+    NotDirectoryError,
+    NotFileError} from './lib/error';
 
 export {
     READ,
@@ -37,7 +57,26 @@ export {
     ERROR,
     FILE,
     DIR,
+    BufferedFileReader,
+    FileAttributes,
     FileInputStream,
+    FileOutputStream,
     FilenameFilter,
-    File
+    FileWatcher,
+    GlobFilter,
+    PosixFilePermissions,
+    RandomAccessFile,
+    ZipFile,
+    File,
+    FileError,
+    AccessDeniedError,
+    EndOfFileError,
+    FileExistsError,
+    FileNotFoundError,
+    FileNotOpenError,
+    IllegalArgumentError,
+    LockError,
+    MoveError,
+    NotDirectoryError,
+    NotFileError
 }
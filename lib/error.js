@@ -0,0 +1,166 @@
+/** @babel */
+
+export class FileError extends Error {
+
+    constructor({ message=null, code='EIO', path=null, dest=null, syscall=null, errno=0, cause=null }={}) {
+        super(message || FileError.format(code, syscall, path));
+        this.name = 'FileError';
+        this.code = code;
+        this.path = path;
+        this.dest = dest;
+        this.syscall = syscall;
+        this.errno = errno;
+        this.cause = cause;
+    }
+
+    static format(code, syscall, path) {
+        let message = code;
+        if (syscall !== null) {
+            message += ', ' + syscall;
+        }
+        if (path !== null) {
+            message += " '" + path + "'";
+        }
+        return message;
+    }
+
+}
+
+export class AccessDeniedError extends FileError {
+
+    constructor(options={}) {
+        super(Object.assign({ code: 'EACCES' }, options));
+        this.name = 'AccessDeniedError';
+    }
+
+}
+
+export class EndOfFileError extends FileError {
+
+    constructor(options={}) {
+        super(Object.assign({ code: 'EOF' }, options));
+        this.name = 'EndOfFileError';
+    }
+
+}
+
+export class FileExistsError extends FileError {
+
+    constructor(options={}) {
+        super(Object.assign({ code: 'EEXIST' }, options));
+        this.name = 'FileExistsError';
+    }
+
+}
+
+export class FileNotFoundError extends FileError {
+
+    constructor(options={}) {
+        super(Object.assign({ code: 'ENOENT' }, options));
+        this.name = 'FileNotFoundError';
+    }
+
+}
+
+export class FileNotOpenError extends FileError {
+
+    constructor(options={}) {
+        super(Object.assign({ code: 'EBADF' }, options));
+        this.name = 'FileNotOpenError';
+    }
+
+}
+
+export class IllegalArgumentError extends FileError {
+
+    constructor(options={}) {
+        const { argument=null, syscall=null } = options;
+        super(Object.assign({
+            code: 'EINVAL',
+            message: argument !== null ?
+                'EINVAL, ' + (syscall !== null ? syscall + ' ' : '') + "missing argument '" + argument + "'" :
+                null
+        }, options));
+        this.name = 'IllegalArgumentError';
+        this.argument = argument;
+    }
+
+}
+
+export class LockError extends FileError {
+
+    constructor(options={}) {
+        const { owner=null } = options;
+        super(Object.assign({ code: 'ELOCKED', syscall: 'lock' }, options));
+        this.name = 'LockError';
+        this.owner = owner;
+    }
+
+}
+
+export class MoveError extends FileError {
+
+    constructor(options={}) {
+        const { stage='copy', copied=false, cause=null } = options;
+        super(Object.assign({
+            code: cause !== null && typeof cause.code === 'string' ? cause.code : 'EIO',
+            syscall: 'move'
+        }, options));
+        if (cause !== null && !options.message) {
+            this.message = this.code + ", move '" + this.path + "' -> '" + this.dest + "' failed during " +
+                stage + ': ' + cause.message;
+        }
+        this.name = 'MoveError';
+        this.stage = stage;
+        this.copied = copied;
+    }
+
+}
+
+export class NotDirectoryError extends FileError {
+
+    constructor(options={}) {
+        super(Object.assign({ code: 'ENOTDIR' }, options));
+        this.name = 'NotDirectoryError';
+    }
+
+}
+
+export class NotFileError extends FileError {
+
+    constructor(options={}) {
+        super(Object.assign({ code: 'EISDIR' }, options));
+        this.name = 'NotFileError';
+    }
+
+}
+
+const ERRORS_BY_CODE = {
+    EACCES: AccessDeniedError,
+    EPERM: AccessDeniedError,
+    EEXIST: FileExistsError,
+    ENOENT: FileNotFoundError,
+    EBADF: FileNotOpenError,
+    EINVAL: IllegalArgumentError,
+    ENOTDIR: NotDirectoryError,
+    EISDIR: NotFileError
+};
+
+export const toFileError = (ex, { path=null, syscall=null }={}) => {
+    if (ex instanceof FileError || ex === null || typeof ex !== 'object') {
+        return ex;
+    }
+    if (typeof ex.code !== 'string' || (!ex.syscall && syscall === null)) {
+        return ex;
+    }
+    const Type = ERRORS_BY_CODE[ex.code] || FileError;
+    return new Type({
+        message: ex.message,
+        code: ex.code,
+        path: ex.path || path,
+        dest: ex.dest || null,
+        syscall: ex.syscall || syscall,
+        errno: ex.errno || 0,
+        cause: ex
+    });
+};
@@ -1,5 +1,6 @@
 /** @babel */
 import {execFile, execFileSync} from "child_process";
+import {createHash, getHashes, randomBytes} from "crypto";
 import {
     access,
     accessSync,
@@ -9,8 +10,15 @@ import {
     closeSync,
     chmod,
     chmodSync,
+    chown,
+    chownSync,
     constants,
+    copyFile,
+    copyFileSync,
     createReadStream,
+    createWriteStream,
+    fchown,
+    fchownSync,
     fdatasync,
     fdatasyncSync,
     fstat,
@@ -21,6 +29,12 @@ import {
     ftruncateSync,
     futimes,
     futimesSync,
+    lchown,
+    lchownSync,
+    link,
+    linkSync,
+    lstat,
+    lstatSync,
     mkdir,
     mkdirSync,
     mkdtemp,
@@ -33,6 +47,8 @@ import {
     readdirSync,
     readFile,
     readFileSync,
+    readlink,
+    readlinkSync,
     realpath,
     realpathSync,
     rename,
@@ -50,17 +66,50 @@ import {
     utimes,
     utimesSync,
     watch,
-    unwatch,
     write,
     writeSync,
+    writeFile,
     writeFileSync
 } from "fs";
-import {basename, dirname, extname, isAbsolute, join, normalize, parse, resolve, sep} from "path";
+import {basename, dirname, extname, isAbsolute, join, normalize, parse, relative, resolve, sep} from "path";
 import EventEmitter from "events";
-import {homedir, tmpdir} from "os";
-import * as util from 'hjs-core/lib/util';
+import {homedir, hostname, tmpdir} from "os";
+import {Readable, pipeline} from "stream";
+import {StringDecoder} from "string_decoder";
+import {promisify} from "util";
+import {
+    brotliDecompress,
+    brotliDecompressSync,
+    constants as zlibConstants,
+    createBrotliCompress,
+    createBrotliDecompress,
+    createDeflate,
+    createDeflateRaw,
+    createGunzip,
+    createGzip,
+    createInflate,
+    createInflateRaw,
+    gunzip,
+    gunzipSync,
+    inflate,
+    inflateSync
+} from "zlib";
 import {ByteBuffer} from "hjs-io/lib/buffer";
-import {InputStream} from "hjs-io/lib/input";
+import {DEFAULT_BUFFER_SIZE, InputStream} from "hjs-io/lib/input";
+import {
+    AccessDeniedError,
+    EndOfFileError,
+    FileError,
+    FileExistsError,
+    FileNotFoundError,
+    FileNotOpenError,
+    IllegalArgumentError,
+    LockError,
+    MoveError,
+    NotDirectoryError,
+    NotFileError,
+    toFileError
+} from "./error";
 
 const IS_WIN = process.platform === 'win32';
 
@@ -71,10 +120,12 @@ export class FileInputStream extends InputStream {
         this.buf = null;
         this.file = new File({ path, parent });
         this.pos = this.count = this.markPos = 0;
+        this.start = this.bufStart = this.end = 0;
+        this.windowed = false;
     }
 
     available() {
-        return this.count - this.pos;
+        return this.buf === null ? 0 : this.end - (this.bufStart + this.pos);
     }
 
     ensureOpen() {
@@ -86,6 +137,8 @@ export class FileInputStream extends InputStream {
     close(onClose=null) {
         this.buf = null;
         this.pos = this.count = this.markPos = 0;
+        this.start = this.bufStart = this.end = 0;
+        this.windowed = false;
         if (onClose === null) {
             return this.file.close();
         } else {
@@ -95,62 +148,127 @@ export class FileInputStream extends InputStream {
         }
     }
 
+    fill() {
+        if (!this.windowed) {
+            return false;
+        }
+        this.bufStart += this.count;
+        this.pos = this.count = 0;
+        let length = Math.min(this.buf.length, this.end - this.bufStart);
+        if (length <= 0) {
+            return false;
+        }
+        this.count = toChecked(() => {
+            return File.readFd({
+                src: this.file.getFd(),
+                buffer: this.buf,
+                offset: 0,
+                length,
+                position: this.bufStart,
+                sync: true
+            });
+        });
+        return this.count > 0;
+    }
+
+    getPosition() {
+        return this.bufStart + this.pos;
+    }
+
     mark(readAheadLimit) {
-        this.markPos = this.pos;
+        this.markPos = this.getPosition();
     }
 
     markSupported() {
         return true;
     }
 
-    open({ offset = 0, length = 0, blocking=true, onReadable }={}) {
+    /*
+     Without windowed the whole range is read into memory, which is fine for
+     small files but unbounded; windowed keeps a single page of pageSize bytes
+     and reads the rest from the fd on demand. Without onReadable the range
+     is opened synchronously and SUCCESS or ERROR is returned.
+     */
+    open({
+        offset = 0, length = 0, windowed = false, pageSize = DEFAULT_BUFFER_SIZE, blocking, onReadable = null }={}) {
+        if (blocking !== undefined) {
+            // both modes read the whole range before onReadable, so the flag no longer changes anything
+            deprecate('blocking', "FileInputStream#open's blocking option is deprecated and ignored");
+        }
+        if (windowed) {
+            return this.openWindow({ offset, length, pageSize, onReadable });
+        }
+        const range = (size) => {
+            let start = Math.min(offset, size);
+            return [start, length > 0 ? Math.min(offset + length, size) : size];
+        };
+        const ready = (start, buffer) => {
+            this.buf = ByteBuffer.createBuffer({ buffer });
+            this.start = this.bufStart = this.markPos = start;
+            this.end = start + this.buf.length;
+            this.count = this.buf.length;
+            this.pos = 0;
+        };
+        if (onReadable === null) {
+            if (this.file.open({ flags: READ }) === ERROR) {
+                return ERROR;
+            }
+            let stats = File.stat({ src: this.file.getFd(), sync: true });
+            if (stats === ERROR) {
+                this.file.close();
+                return ERROR;
+            }
+            let [start, end] = range(stats.size);
+            let buffer = Buffer.alloc(Math.max(end - start, 0));
+            let total = 0;
+            while (total < buffer.length) {
+                let read = File.readFd({
+                    src: this.file.getFd(),
+                    buffer,
+                    offset: total,
+                    length: buffer.length - total,
+                    position: start + total,
+                    sync: true
+                });
+                if (read === ERROR) {
+                    this.file.close();
+                    return ERROR;
+                }
+                if (read === 0) {
+                    break;
+                }
+                total += read;
+            }
+            this.file.close();
+            ready(start, buffer.subarray(0, total));
+            return SUCCESS;
+        }
         this.file.length((status, size) => {
             if (status === SUCCESS) {
-                let start = 0;
-                let end = size;
+                let [start, end] = range(size);
+                if (end <= start) {
+                    ready(start, Buffer.alloc(0));
+                    onReadable();
+                    return;
+                }
                 this.file.getInputStream({
                     start,
-                    end,
-                    autoClose: false ,
+                    end: end - 1,
+                    encoding: null,
+                    autoClose: false,
                     onAccess: (code, stream) => {
                         if (code !== ERROR) {
-                            if (blocking) {
-                                stream.once('readable', () => {
-                                    this.buf = ByteBuffer.createBuffer({capacity: size});
-                                    const chunk = stream.read();
-                                    let len = chunk.length;
-                                    for (let i = 0; i < len; i++) {
-                                        this.buf[i] = chunk.charCodeAt(i);
-                                    }
-                                    if (offset > 0 && length > 0) {
-                                        this.pos = offset;
-                                        this.count = Math.min(offset + length, size);
-                                    } else {
-                                        this.count = size;
-                                        this.pos = 0;
-                                    }
-                                    onReadable();
-                                });
-                            } else {
-                                const buf = [];
-                                stream.on('error', (err) => {
-                                    onReadable(err);
-                                })
-                                .on('data', (chunk) => {
-                                    buf.push(chunk);
-                                })
-                                .on('end', () => {
-                                    this.buf = ByteBuffer.createBuffer({ buffer: Buffer.concat(buf) });
-                                    if (offset > 0 && length > 0) {
-                                        this.pos = offset;
-                                        this.count = Math.min(offset + length, size);
-                                    } else {
-                                        this.count = size;
-                                        this.pos = 0;
-                                    }
-                                    onReadable();
-                                });
-                            }
+                            const chunks = [];
+                            stream.on('error', (err) => {
+                                onReadable(err);
+                            })
+                            .on('data', (chunk) => {
+                                chunks.push(chunk);
+                            })
+                            .on('end', () => {
+                                ready(start, Buffer.concat(chunks));
+                                onReadable();
+                            });
                         } else {
                             onReadable(stream);
                         }
@@ -162,152 +280,4422 @@ export class FileInputStream extends InputStream {
         });
     }
 
-    read(b = null, off = 0, len = 0) {
-        this.ensureOpen();
-        if (b) {
-            len = len || b.length;
-            if (off < 0 || len < 0 || len > b.length - off) {
-                throw new RangeError("IndexOutOfBoundsException");
-            }
-            if (this.pos >= this.count) {
-                return -1;
-            }
-            if (this.pos + len > this.count) {
-                len = this.count - this.pos;
-            }
-            if (len <= 0) {
-                return 0;
+    openWindow({ offset, length, pageSize, onReadable }) {
+        if (pageSize <= 0) {
+            throw new RangeError("IllegalArgumentException Page size <= 0");
+        }
+        const ready = (size) => {
+            this.windowed = true;
+            this.buf = ByteBuffer.createBuffer({ capacity: pageSize });
+            this.start = this.bufStart = this.markPos = Math.min(offset, size);
+            this.end = length > 0 ? Math.min(offset + length, size) : size;
+            this.pos = this.count = 0;
+        };
+        if (onReadable === null) {
+            if (this.file.open({ flags: READ }) === ERROR) {
+                return ERROR;
+            }
+            let stats = File.stat({ src: this.file.getFd(), sync: true });
+            if (stats === ERROR) {
+                this.file.close();
+                return ERROR;
+            }
+            ready(stats.size);
+            return SUCCESS;
+        }
+        this.file.open({
+            flags: READ,
+            onOpen: (code, fd) => {
+                if (code !== SUCCESS) {
+                    onReadable(fd);
+                } else {
+                    File.stat({
+                        src: fd,
+                        onStat: (code, stats) => {
+                            if (code !== SUCCESS) {
+                                this.file.close(() => { onReadable(stats); });
+                            } else {
+                                ready(stats.size);
+                                onReadable();
+                            }
+                        }
+                    });
+                }
+            }
+        });
+    }
+
+    read(b = null, off = 0, len = undefined) {
+        this.ensureOpen();
+        if (b) {
+            len = len === undefined ? b.length - off : len;
+            if (off < 0 || len < 0 || len > b.length - off) {
+                throw new RangeError("IndexOutOfBoundsException");
+            }
+            if (len === 0) {
+                return 0;
+            }
+            let total = 0;
+            while (total < len) {
+                if (this.pos >= this.count && !this.fill()) {
+                    break;
+                }
+                let n = Math.min(len - total, this.count - this.pos);
+                if (ArrayBuffer.isView(b)) {
+                    b.set(this.buf.subarray(this.pos, this.pos + n), off + total);
+                } else {
+                    for (let i = 0; i < n; i++) {
+                        b[off + total + i] = this.buf[this.pos + i];
+                    }
+                }
+                this.pos += n;
+                total += n;
+            }
+            return total === 0 ? -1 : total;
+        }
+        if (this.pos >= this.count && !this.fill()) {
+            return -1;
+        }
+        return this.buf[this.pos++] & 0xff;
+    }
+
+    reset() {
+        this.seek(this.markPos);
+    }
+
+    seek(position) {
+        this.ensureOpen();
+        position = Math.max(this.start, Math.min(position, this.end));
+        if (position >= this.bufStart && position <= this.bufStart + this.count) {
+            this.pos = position - this.bufStart;
+        } else {
+            this.bufStart = position;
+            this.pos = this.count = 0;
+        }
+    }
+
+    skip(n) {
+        if (n <= 0) {
+            return 0;
+        }
+        let position = this.getPosition();
+        n = Math.min(n, this.end - position);
+        this.seek(position + n);
+        return n;
+    }
+
+}
+
+class LineSplitter {
+
+    constructor(encoding='utf8') {
+        this.decoder = new StringDecoder(encoding);
+        this.pending = '';
+    }
+
+    end() {
+        return this.split(this.decoder.end(), true);
+    }
+
+    split(chunk, final=false) {
+        const lines = [];
+        const text = this.pending + chunk;
+        let start = 0;
+        for (let i = Math.max(0, this.pending.length - 1); i < text.length; i++) {
+            let c = text.charCodeAt(i);
+            if (c === 10 || c === 13) {
+                if (c === 13 && i === text.length - 1 && !final) {
+                    break;
+                }
+                lines.push(text.slice(start, i));
+                if (c === 13 && text.charCodeAt(i + 1) === 10) {
+                    i++;
+                }
+                start = i + 1;
+            }
+        }
+        this.pending = text.slice(start);
+        if (final && this.pending.length > 0) {
+            lines.push(this.pending);
+            this.pending = '';
+        }
+        return lines;
+    }
+
+    write(buffer) {
+        return this.split(this.decoder.write(buffer));
+    }
+
+}
+
+export class BufferedFileReader {
+
+    constructor({ input=null, encoding='utf8', size=DEFAULT_BUFFER_SIZE, decompress=false }={}) {
+        if (input === null) {
+            throw new IllegalArgumentError({ argument: 'input' });
+        }
+        if (size <= 0) {
+            throw new RangeError("IllegalArgumentException Buffer size <= 0");
+        }
+        this.input = input;
+        this.buf = Buffer.alloc(size);
+        this.splitter = new LineSplitter(encoding);
+        this.lines = [];
+        this.eof = false;
+        this.decompress = decompress;
+        this.inflated = null;
+        this.inflatedPos = 0;
+    }
+
+    close(onClose=null) {
+        this.lines = [];
+        this.eof = true;
+        this.inflated = null;
+        return this.input.close(onClose);
+    }
+
+    fill() {
+        if (!this.decompress) {
+            return this.input.read(this.buf);
+        }
+        if (this.inflated === null) {
+            this.inflated = this.inflate();
+        }
+        const n = this.inflated.copy(this.buf, 0, this.inflatedPos);
+        this.inflatedPos += n;
+        return n > 0 ? n : -1;
+    }
+
+    /*
+     zlib has no synchronous streaming api, so a compressed input is read and
+     decompressed whole on the first readLine, holding both the compressed and
+     the decompressed data in memory. File#readLines streams instead and suits
+     large archives.
+     */
+    inflate() {
+        const chunks = [];
+        for (let n = this.input.read(this.buf); n !== -1; n = this.input.read(this.buf)) {
+            chunks.push(Buffer.from(this.buf.subarray(0, n)));
+        }
+        const data = Buffer.concat(chunks);
+        const format = compressionOf(this.input.file instanceof File ? this.input.file.path : '', data);
+        try {
+            return format === null ? data : COMPRESSIONS[format].decompressSync(data);
+        } catch (ex) {
+            throw toFileError(ex);
+        }
+    }
+
+    readLine() {
+        while (this.lines.length === 0 && !this.eof) {
+            let n = this.fill();
+            if (n === -1) {
+                this.eof = true;
+                this.lines = this.splitter.end();
+            } else {
+                this.lines = this.splitter.write(this.buf.subarray(0, n));
+            }
+        }
+        return this.lines.length > 0 ? this.lines.shift() : null;
+    }
+
+}
+
+export class FileOutputStream {
+
+    constructor({ path=null, parent=null, fd=null, append=false, mode=0o666, owner=fd === null, size=DEFAULT_BUFFER_SIZE }={}) {
+        if (path === null && fd === null) {
+            throw new IllegalArgumentError({ argument: 'path' });
+        }
+        if (size <= 0) {
+            throw new RangeError("IllegalArgumentException Buffer size <= 0");
+        }
+        this.file = path !== null ? new File({ path, parent }) : null;
+        this.fd = fd;
+        this.append = append;
+        this.mode = mode;
+        this.owner = owner;
+        this.buf = Buffer.alloc(size);
+        this.count = 0;
+    }
+
+    close(onClose=null) {
+        let code = this.isOpen() ? this.flush() : SUCCESS;
+        let fd = this.fd;
+        this.fd = null;
+        this.count = 0;
+        if (fd === null || !this.owner) {
+            return onClose === null ? code : onClose(code, null);
+        }
+        if (onClose === null) {
+            let closed = File.closeFd({ src: fd, sync: true });
+            return code !== ERROR ? closed : code;
+        }
+        File.closeFd({ src: fd, onClose });
+    }
+
+    ensureOpen() {
+        if (!this.isOpen()) {
+            throw new FileNotOpenError({ path: this.file !== null ? this.file.path : null, syscall: 'write' });
+        }
+    }
+
+    flush() {
+        this.ensureOpen();
+        let code = SUCCESS;
+        if (this.count > 0) {
+            code = this.writeFully(this.buf, 0, this.count);
+            this.count = 0;
+        }
+        return code;
+    }
+
+    getFd() {
+        return this.fd;
+    }
+
+    isOpen() {
+        return this.fd !== null;
+    }
+
+    open(onOpen=null) {
+        if (this.isOpen()) {
+            return onOpen === null ? this.fd : onOpen(SUCCESS, this.fd);
+        }
+        if (this.file === null) {
+            // a stream built around a descriptor has no path to reopen it from
+            handleError(new IllegalArgumentError({ argument: 'path', syscall: 'open' }), onOpen);
+            return ERROR;
+        }
+        const flags = this.append ? APPEND : WRITE;
+        if (onOpen === null) {
+            let fd = File.openFd({ src: this.file.path, flags, mode: this.mode, sync: true });
+            if (fd !== ERROR) {
+                this.fd = fd;
+                this.owner = true;
+            }
+            return fd;
+        }
+        File.openFd({
+            src: this.file.path,
+            flags,
+            mode: this.mode,
+            onOpen: (code, fd) => {
+                if (code === SUCCESS) {
+                    this.fd = fd;
+                    this.owner = true;
+                }
+                onOpen(code, fd);
+            }
+        });
+    }
+
+    write(b, off = 0, len = undefined) {
+        this.ensureOpen();
+        if (typeof b === 'number') {
+            if (this.count >= this.buf.length && this.flush() === ERROR) {
+                return ERROR;
+            }
+            this.buf[this.count++] = b & 0xff;
+            return SUCCESS;
+        }
+        if (typeof b === 'string') {
+            b = Buffer.from(b, 'utf8');
+        } else if (!Buffer.isBuffer(b)) {
+            b = Buffer.from(b);
+        }
+        len = len === undefined ? b.length - off : len;
+        if (off < 0 || len < 0 || off + len > b.length) {
+            throw new RangeError("IndexOutOfBoundsException");
+        }
+        if (len > this.buf.length - this.count) {
+            if (this.flush() === ERROR) {
+                return ERROR;
+            }
+            if (len >= this.buf.length) {
+                return this.writeFully(b, off, len);
+            }
+        }
+        b.copy(this.buf, this.count, off, off + len);
+        this.count += len;
+        return SUCCESS;
+    }
+
+    writeFully(b, off, len) {
+        while (len > 0) {
+            let written = File.writeFd({
+                src: this.fd,
+                buffer: b,
+                offset: off,
+                length: len,
+                position: null,
+                sync: true
+            });
+            if (written === ERROR) {
+                return ERROR;
+            }
+            off += written;
+            len -= written;
+        }
+        return SUCCESS;
+    }
+
+}
+
+const lstatOrNull = (path) => {
+    try {
+        return lstatSync(path);
+    } catch (ex) {
+        if (ex.code === 'ENOENT' || ex.code === 'ENOTDIR') {
+            return null;
+        }
+        throw toFileError(ex);
+    }
+};
+
+const isInside = (path, dir) => {
+    return path.indexOf(dir + sep) === 0;
+};
+
+const sameKind = (a, b) => {
+    return a.isDirectory() === b.isDirectory();
+};
+
+const isModified = (prev, next) => {
+    return prev.ino !== next.ino || prev.size !== next.size || prev.mtime.getTime() !== next.mtime.getTime();
+};
+
+const diffSnapshots = (prev, next) => {
+    const removed = [];
+    const added = [];
+    const changed = [];
+    prev.forEach((stats, path) => {
+        let current = next.get(path);
+        if (current === undefined || !sameKind(stats, current) || (stats.isDirectory() && stats.ino !== current.ino)) {
+            removed.push({ path, stats });
+        } else if (!stats.isDirectory() && isModified(stats, current)) {
+            changed.push({ path, stats: current });
+        }
+    });
+    next.forEach((stats, path) => {
+        let previous = prev.get(path);
+        if (previous === undefined || !sameKind(previous, stats) || (stats.isDirectory() && stats.ino !== previous.ino)) {
+            added.push({ path, stats });
+        }
+    });
+    const renamed = [];
+    removed.sort((a, b) => { return a.path.length - b.path.length; });
+    for (let i = 0; i < removed.length; i++) {
+        let from = removed[i];
+        let j = added.findIndex((to) => {
+            return to.stats.ino === from.stats.ino && to.stats.dev === from.stats.dev && sameKind(to.stats, from.stats);
+        });
+        if (j === -1) {
+            continue;
+        }
+        let to = added[j];
+        renamed.push({ path: to.path, stats: to.stats, from: from.path });
+        added.splice(j, 1);
+        removed.splice(i--, 1);
+        if (to.stats.isDirectory()) {
+            const moved = (entry) => { return !isInside(entry.path, from.path); };
+            const arrived = (entry) => { return !isInside(entry.path, to.path); };
+            removed.splice(0, removed.length, ...removed.filter(moved));
+            added.splice(0, added.length, ...added.filter(arrived));
+        }
+    }
+    removed.reverse();
+    added.sort((a, b) => { return a.path.length - b.path.length; });
+    return { renamed, removed, added, changed };
+};
+
+export class FileWatcher extends EventEmitter {
+
+    constructor({
+        path=null,
+        parent=null,
+        recursive=false,
+        persistent=true,
+        debounce=50,
+        usePolling=false,
+        interval=1000 }={}) {
+        super();
+        if (path === null) {
+            throw new IllegalArgumentError({ argument: 'path' });
+        }
+        this.file = new File({ path, parent });
+        this.root = this.file.getAbsolutePath();
+        this.recursive = recursive;
+        this.persistent = persistent;
+        this.debounce = debounce;
+        this.usePolling = usePolling;
+        this.interval = interval;
+        this.poller = null;
+        this.entries = new Map();
+        this.watchers = new Map();
+        this.pending = new Set();
+        this.timer = null;
+        this.closed = true;
+    }
+
+    addTree(path, snapshot) {
+        const stats = lstatOrNull(path);
+        if (stats === null) {
+            return;
+        }
+        snapshot.set(path, stats);
+        if (stats.isDirectory() && this.descends(path)) {
+            let names;
+            try {
+                names = readdirSync(path);
+            } catch (ex) {
+                return;
+            }
+            names.forEach((name) => { this.addTree(join(path, name), snapshot); });
+        }
+    }
+
+    close() {
+        if (this.closed) {
+            return;
+        }
+        this.closed = true;
+        clearTimeout(this.timer);
+        clearInterval(this.poller);
+        this.timer = null;
+        this.poller = null;
+        this.pending.clear();
+        this.watchers.forEach((watcher) => { watcher.close(); });
+        this.watchers.clear();
+        this.emit('close');
+    }
+
+    descends(path) {
+        return path === this.root || this.recursive;
+    }
+
+    dropTree(path, snapshot) {
+        snapshot.delete(path);
+        Array.from(snapshot.keys()).forEach((key) => {
+            if (isInside(key, path)) {
+                snapshot.delete(key);
+            }
+        });
+    }
+
+    flush() {
+        this.timer = null;
+        if (this.closed) {
+            return;
+        }
+        const dirs = Array.from(this.pending);
+        this.pending.clear();
+        const next = new Map(this.entries);
+        try {
+            dirs.forEach((dir) => { this.refresh(dir, next); });
+        } catch (ex) {
+            this.emit('error', ex);
+            return;
+        }
+        this.update(next);
+    }
+
+    getWatched() {
+        return Array.from(this.watchers.keys());
+    }
+
+    isClosed() {
+        return this.closed;
+    }
+
+    poll() {
+        if (this.closed) {
+            return;
+        }
+        const next = new Map();
+        try {
+            this.addTree(this.root, next);
+        } catch (ex) {
+            this.emit('error', ex);
+            return;
+        }
+        this.update(next);
+    }
+
+    refresh(dir, snapshot) {
+        const stats = lstatOrNull(dir);
+        const prev = snapshot.get(dir);
+        if (stats === null || !stats.isDirectory()) {
+            if (dir === this.root) {
+                this.dropTree(dir, snapshot);
+                this.addTree(dir, snapshot);
+            } else if (snapshot.has(dir)) {
+                this.dropTree(dir, snapshot);
+                this.refresh(dirname(dir), snapshot);
+            }
+            return;
+        }
+        if (prev === undefined || !prev.isDirectory() || prev.ino !== stats.ino) {
+            if (dir !== this.root && !snapshot.has(dirname(dir))) {
+                return;
+            }
+            this.dropTree(dir, snapshot);
+            this.addTree(dir, snapshot);
+            return;
+        }
+        snapshot.set(dir, stats);
+        let names;
+        try {
+            names = readdirSync(dir);
+        } catch (ex) {
+            return;
+        }
+        Array.from(snapshot.keys()).forEach((key) => {
+            if (dirname(key) === dir && key !== dir && names.indexOf(basename(key)) === -1) {
+                this.dropTree(key, snapshot);
+            }
+        });
+        names.forEach((name) => {
+            let child = join(dir, name);
+            let current = lstatOrNull(child);
+            let known = snapshot.get(child);
+            if (current === null) {
+                this.dropTree(child, snapshot);
+            } else if (known === undefined || !sameKind(known, current) ||
+                (current.isDirectory() && known.ino !== current.ino)) {
+                this.dropTree(child, snapshot);
+                this.addTree(child, snapshot);
+            } else {
+                snapshot.set(child, current);
+            }
+        });
+    }
+
+    schedule(dir) {
+        if (this.closed) {
+            return;
+        }
+        this.pending.add(dir);
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => { this.flush(); }, this.debounce);
+        if (!this.persistent) {
+            this.timer.unref();
+        }
+    }
+
+    start() {
+        if (!this.closed) {
+            return this;
+        }
+        const stats = lstatOrNull(this.root);
+        if (stats === null) {
+            throw new FileNotFoundError({ path: this.root, syscall: 'watch' });
+        }
+        this.closed = false;
+        this.entries = new Map();
+        this.addTree(this.root, this.entries);
+        if (this.usePolling) {
+            this.poller = setInterval(() => { this.poll(); }, this.interval);
+            if (!this.persistent) {
+                this.poller.unref();
+            }
+        } else {
+            this.syncWatchers();
+        }
+        process.nextTick(() => { this.emit('ready'); });
+        return this;
+    }
+
+    syncWatchers() {
+        if (this.usePolling) {
+            return;
+        }
+        const rootStats = this.entries.get(this.root);
+        const dirs = new Map();
+        if (rootStats === undefined || !rootStats.isDirectory()) {
+            let parent = dirname(this.root);
+            dirs.set(parent, null);
+        } else {
+            this.entries.forEach((stats, path) => {
+                if (stats.isDirectory() && (path === this.root || this.recursive)) {
+                    dirs.set(path, stats.ino);
+                }
+            });
+        }
+        this.watchers.forEach((watcher, dir) => {
+            if (!dirs.has(dir) || dirs.get(dir) !== watcher.ino) {
+                watcher.close();
+                this.watchers.delete(dir);
+            }
+        });
+        dirs.forEach((ino, dir) => {
+            if (!this.watchers.has(dir)) {
+                this.watchDir(dir, ino);
+            }
+        });
+    }
+
+    update(next) {
+        const { renamed, removed, added, changed } = diffSnapshots(this.entries, next);
+        this.entries = next;
+        this.syncWatchers();
+        renamed.forEach(({ path, stats, from }) => {
+            this.emit('rename', from, path, stats);
+            this.emit('all', 'rename', path, stats, from);
+        });
+        removed.forEach(({ path, stats }) => {
+            let event = stats.isDirectory() ? 'unlinkDir' : 'unlink';
+            this.emit(event, path, stats);
+            this.emit('all', event, path, stats);
+        });
+        added.forEach(({ path, stats }) => {
+            let event = stats.isDirectory() ? 'addDir' : 'add';
+            this.emit(event, path, stats);
+            this.emit('all', event, path, stats);
+        });
+        changed.forEach(({ path, stats }) => {
+            this.emit('change', path, stats);
+            this.emit('all', 'change', path, stats);
+        });
+    }
+
+    watchDir(dir, ino) {
+        let watcher;
+        try {
+            watcher = watch(dir, { persistent: this.persistent }, (eventType, filename) => {
+                if (ino === null) {
+                    if (filename === null || filename === basename(this.root)) {
+                        this.schedule(this.root);
+                    }
+                } else {
+                    this.schedule(dir);
+                }
+            });
+        } catch (ex) {
+            if (ex.code !== 'ENOENT' && ex.code !== 'ENOTDIR') {
+                this.emit('error', toFileError(ex, { path: dir, syscall: 'watch' }));
+            }
+            return;
+        }
+        watcher.ino = ino;
+        watcher.on('error', (ex) => {
+            watcher.close();
+            this.watchers.delete(dir);
+            if (ex.code === 'EPERM' || ex.code === 'ENOENT') {
+                this.schedule(dir === this.root ? dir : dirname(dir));
+            } else {
+                this.emit('error', toFileError(ex, { path: dir, syscall: 'watch' }));
+            }
+        });
+        this.watchers.set(dir, watcher);
+    }
+
+}
+
+const RANDOM_ACCESS_MODES = {
+    r: constants.O_RDONLY,
+    rw: constants.O_RDWR | constants.O_CREAT,
+    rws: constants.O_RDWR | constants.O_CREAT | constants.O_SYNC,
+    rwd: constants.O_RDWR | constants.O_CREAT | constants.O_DSYNC
+};
+
+export class RandomAccessFile {
+
+    constructor({ path=null, parent=null, mode='r', littleEndian=false }={}) {
+        if (!Object.prototype.hasOwnProperty.call(RANDOM_ACCESS_MODES, mode)) {
+            throw new IllegalArgumentError({
+                message: "EINVAL, unknown mode '" + mode + "'",
+                path,
+                syscall: 'open'
+            });
+        }
+        this.file = new File({ path, parent });
+        this.mode = mode;
+        this.littleEndian = littleEndian;
+        this.fd = null;
+        this.pointer = 0;
+        this.scratch = Buffer.alloc(8);
+    }
+
+    close(onClose=null) {
+        let fd = this.fd;
+        this.fd = null;
+        this.pointer = 0;
+        if (fd === null) {
+            return onClose === null ? SUCCESS : onClose(SUCCESS, null);
+        }
+        if (onClose === null) {
+            return File.closeFd({ src: fd, sync: true });
+        }
+        File.closeFd({ src: fd, onClose });
+    }
+
+    ensureOpen() {
+        if (this.fd === null) {
+            throw new FileNotOpenError({ path: this.file.path, syscall: 'read' });
+        }
+    }
+
+    getFd() {
+        return this.fd;
+    }
+
+    getFilePointer() {
+        this.ensureOpen();
+        return this.pointer;
+    }
+
+    isOpen() {
+        return this.fd !== null;
+    }
+
+    length() {
+        this.ensureOpen();
+        return toChecked(() => { return File.stat({ src: this.fd, sync: true }); }).size;
+    }
+
+    open(onOpen=null) {
+        if (this.isOpen()) {
+            return onOpen === null ? this.fd : onOpen(SUCCESS, this.fd);
+        }
+        const flags = RANDOM_ACCESS_MODES[this.mode];
+        if (onOpen === null) {
+            let fd = File.openFd({ src: this.file.path, flags, sync: true });
+            if (fd !== ERROR) {
+                this.fd = fd;
+                this.pointer = 0;
+            }
+            return fd;
+        }
+        File.openFd({
+            src: this.file.path,
+            flags,
+            onOpen: (code, fd) => {
+                if (code === SUCCESS) {
+                    this.fd = fd;
+                    this.pointer = 0;
+                }
+                onOpen(code, fd);
+            }
+        });
+    }
+
+    read(b = null, off = 0, len = undefined) {
+        this.ensureOpen();
+        if (b === null) {
+            return this.readBytes(this.scratch, 0, 1) === 1 ? this.scratch[0] : -1;
+        }
+        len = len === undefined ? b.length - off : len;
+        if (off < 0 || len < 0 || off + len > b.length) {
+            throw new RangeError("IndexOutOfBoundsException");
+        }
+        if (len === 0) {
+            return 0;
+        }
+        let n;
+        if (ArrayBuffer.isView(b)) {
+            n = this.readBytes(b, off, len);
+        } else {
+            let tmp = Buffer.alloc(len);
+            n = this.readBytes(tmp, 0, len);
+            for (let i = 0; i < n; i++) {
+                b[off + i] = tmp[i];
+            }
+        }
+        return n === 0 ? -1 : n;
+    }
+
+    readBoolean() {
+        return this.readUInt8() !== 0;
+    }
+
+    readBytes(buffer, offset, length) {
+        let n = toChecked(() => {
+            return File.readFd({
+                src: this.fd,
+                buffer,
+                offset,
+                length,
+                position: this.pointer,
+                sync: true
+            });
+        });
+        this.pointer += n;
+        return n;
+    }
+
+    readFully(b, off = 0, len = undefined) {
+        this.ensureOpen();
+        len = len === undefined ? b.length - off : len;
+        let total = 0;
+        while (total < len) {
+            let n = this.read(b, off + total, len - total);
+            if (n === -1) {
+                throw new EndOfFileError({ path: this.file.path, syscall: 'read' });
+            }
+            total += n;
+        }
+        return total;
+    }
+
+    readUTF() {
+        const length = this.readUInt16(false);
+        const bytes = Buffer.alloc(length);
+        this.readFully(bytes);
+        return bytes.toString('utf8');
+    }
+
+    seek(position) {
+        this.ensureOpen();
+        if (position < 0) {
+            throw new RangeError("IllegalArgumentException Negative seek offset");
+        }
+        this.pointer = position;
+    }
+
+    setLength(newLength) {
+        this.ensureOpen();
+        toChecked(() => { return File.truncate({ src: this.fd, len: newLength, sync: true }); });
+        if (this.pointer > newLength) {
+            this.pointer = newLength;
+        }
+    }
+
+    skipBytes(n) {
+        this.ensureOpen();
+        if (n <= 0) {
+            return 0;
+        }
+        let length = this.length();
+        let position = Math.min(length, this.pointer + n);
+        n = Math.max(0, position - this.pointer);
+        this.pointer += n;
+        return n;
+    }
+
+    sync() {
+        this.ensureOpen();
+        return toChecked(() => { return File.sync({ fd: this.fd, sync: true }); });
+    }
+
+    write(b, off = 0, len = undefined) {
+        this.ensureOpen();
+        if (typeof b === 'number') {
+            this.scratch[0] = b & 0xff;
+            return this.writeBytes(this.scratch, 0, 1);
+        }
+        if (typeof b === 'string') {
+            b = Buffer.from(b, 'utf8');
+        } else if (!Buffer.isBuffer(b)) {
+            b = Buffer.from(b);
+        }
+        len = len === undefined ? b.length - off : len;
+        if (off < 0 || len < 0 || off + len > b.length) {
+            throw new RangeError("IndexOutOfBoundsException");
+        }
+        return this.writeBytes(b, off, len);
+    }
+
+    writeBoolean(v) {
+        this.writeUInt8(v ? 1 : 0);
+    }
+
+    writeBytes(buffer, offset, length) {
+        while (length > 0) {
+            let n = toChecked(() => {
+                return File.writeFd({
+                    src: this.fd,
+                    buffer,
+                    offset,
+                    length,
+                    position: this.pointer,
+                    sync: true
+                });
+            });
+            this.pointer += n;
+            offset += n;
+            length -= n;
+        }
+        return SUCCESS;
+    }
+
+    writeUTF(str) {
+        const bytes = Buffer.from(str, 'utf8');
+        if (bytes.length > 0xffff) {
+            throw new RangeError("UTFDataFormatException encoded string too long: " + bytes.length + " bytes");
+        }
+        this.writeUInt16(bytes.length, false);
+        this.writeBytes(bytes, 0, bytes.length);
+    }
+
+}
+
+/*
+ Typed accessors, named after their Buffer counterparts, keyed by their size in bytes.
+ */
+const RANDOM_ACCESS_TYPES = {
+    Int8: 1,
+    UInt8: 1,
+    Int16: 2,
+    UInt16: 2,
+    Int32: 4,
+    UInt32: 4,
+    Float: 4,
+    Float32: 4,
+    Double: 8,
+    Float64: 8,
+    BigInt64: 8,
+    BigUInt64: 8
+};
+
+// the sized float names are aliases, Buffer only knows Float and Double
+const BUFFER_TYPES = {
+    Float32: 'Float',
+    Float64: 'Double'
+};
+
+Object.keys(RANDOM_ACCESS_TYPES).forEach((type) => {
+    const size = RANDOM_ACCESS_TYPES[type];
+    const name = BUFFER_TYPES[type] || type;
+    const suffix = (littleEndian) => { return size === 1 ? '' : (littleEndian ? 'LE' : 'BE'); };
+    RandomAccessFile.prototype['read' + type] = function (littleEndian = this.littleEndian) {
+        this.ensureOpen();
+        if (this.readBytes(this.scratch, 0, size) !== size) {
+            throw new EndOfFileError({ path: this.file.path, syscall: 'read' });
+        }
+        return this.scratch['read' + name + suffix(littleEndian)](0);
+    };
+    RandomAccessFile.prototype['write' + type] = function (value, littleEndian = this.littleEndian) {
+        this.ensureOpen();
+        this.scratch['write' + name + suffix(littleEndian)](value, 0);
+        return this.writeBytes(this.scratch, 0, size);
+    };
+});
+
+const S_IFMT = 0o170000;
+const S_IFSOCK = 0o140000;
+const S_IFLNK = 0o120000;
+const S_IFREG = 0o100000;
+const S_IFBLK = 0o060000;
+const S_IFDIR = 0o040000;
+const S_IFCHR = 0o020000;
+const S_IFIFO = 0o010000;
+const S_ISUID = 0o4000;
+const S_ISGID = 0o2000;
+const S_ISVTX = 0o1000;
+const S_IRUSR = 0o400;
+const S_IWUSR = 0o200;
+const S_IXUSR = 0o100;
+const S_IRGRP = 0o040;
+const S_IWGRP = 0o020;
+const S_IXGRP = 0o010;
+const S_IROTH = 0o004;
+const S_IWOTH = 0o002;
+const S_IXOTH = 0o001;
+
+const FILE_TYPES = {
+    [S_IFSOCK]: ['socket', 's'],
+    [S_IFLNK]: ['symlink', 'l'],
+    [S_IFREG]: ['file', '-'],
+    [S_IFBLK]: ['block', 'b'],
+    [S_IFDIR]: ['dir', 'd'],
+    [S_IFCHR]: ['char', 'c'],
+    [S_IFIFO]: ['fifo', 'p']
+};
+
+const PERMISSION_CLASSES = {
+    owner: { read: S_IRUSR, write: S_IWUSR, execute: S_IXUSR, special: S_ISUID, mark: 's' },
+    group: { read: S_IRGRP, write: S_IWGRP, execute: S_IXGRP, special: S_ISGID, mark: 's' },
+    others: { read: S_IROTH, write: S_IWOTH, execute: S_IXOTH, special: S_ISVTX, mark: 't' }
+};
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const decodePermissions = (mode, permissionClass) => {
+    const bits = PERMISSION_CLASSES[permissionClass];
+    return {
+        read: (mode & bits.read) !== 0,
+        write: (mode & bits.write) !== 0,
+        execute: (mode & bits.execute) !== 0
+    };
+};
+
+const formatPermissions = (mode) => {
+    return Object.keys(PERMISSION_CLASSES).map((permissionClass) => {
+        const bits = PERMISSION_CLASSES[permissionClass];
+        const execute = (mode & bits.execute) !== 0;
+        let special = execute ? 'x' : '-';
+        if (mode & bits.special) {
+            special = execute ? bits.mark : bits.mark.toUpperCase();
+        }
+        return ((mode & bits.read) ? 'r' : '-') + ((mode & bits.write) ? 'w' : '-') + special;
+    }).join('');
+};
+
+const pad = (value, length, fill=' ') => {
+    return String(value).padStart(length, fill);
+};
+
+export class FileAttributes {
+
+    constructor({ path=null, stats=null, target=null }={}) {
+        if (stats === null) {
+            throw new IllegalArgumentError({ argument: 'stats' });
+        }
+        const [type] = FILE_TYPES[stats.mode & S_IFMT] || ['unknown'];
+        this.path = path;
+        this.type = type;
+        this.mode = stats.mode;
+        this.owner = decodePermissions(stats.mode, 'owner');
+        this.group = decodePermissions(stats.mode, 'group');
+        this.others = decodePermissions(stats.mode, 'others');
+        this.setuid = (stats.mode & S_ISUID) !== 0;
+        this.setgid = (stats.mode & S_ISGID) !== 0;
+        this.sticky = (stats.mode & S_ISVTX) !== 0;
+        this.uid = stats.uid;
+        this.gid = stats.gid;
+        this.dev = stats.dev;
+        this.rdev = stats.rdev;
+        this.inode = stats.ino;
+        this.nlink = stats.nlink;
+        this.size = stats.size;
+        this.blocks = stats.blocks;
+        this.atime = stats.atime;
+        this.mtime = stats.mtime;
+        this.ctime = stats.ctime;
+        this.birthtime = stats.birthtime;
+        this.target = target;
+    }
+
+    getMajor() {
+        return ((this.rdev >>> 8) & 0xfff) | (Math.floor(this.rdev / 0x100000000) & ~0xfff);
+    }
+
+    getMinor() {
+        return (this.rdev & 0xff) | ((this.rdev >>> 12) & ~0xff);
+    }
+
+    getPermissions() {
+        return this.mode & 0o7777;
+    }
+
+    isDevice() {
+        return this.type === 'block' || this.type === 'char';
+    }
+
+    toModeString() {
+        const [, mark] = FILE_TYPES[this.mode & S_IFMT] || [null, '?'];
+        return mark + formatPermissions(this.mode);
+    }
+
+    toString() {
+        const now = Date.now();
+        const recent = Math.abs(now - this.mtime.getTime()) < 182 * 24 * 60 * 60 * 1000;
+        const date = MONTHS[this.mtime.getMonth()] + ' ' + pad(this.mtime.getDate(), 2) + ' ' + (recent ?
+            pad(this.mtime.getHours(), 2, '0') + ':' + pad(this.mtime.getMinutes(), 2, '0') :
+            pad(this.mtime.getFullYear(), 5));
+        const size = this.isDevice() ? this.getMajor() + ', ' + this.getMinor() : this.size;
+        const name = this.path !== null ? basename(this.path) : '';
+        return [
+            this.toModeString(),
+            this.nlink,
+            this.uid,
+            this.gid,
+            size,
+            date,
+            this.target !== null ? name + ' -> ' + this.target : name
+        ].join(' ');
+    }
+
+}
+
+const readAttributesSync = (path) => {
+    const stats = lstatSync(path);
+    const target = stats.isSymbolicLink() ? readlinkSync(path) : null;
+    return new FileAttributes({ path, stats, target });
+};
+
+const readAttributes = async (path) => {
+    const stats = await promisify(lstat)(path);
+    const target = stats.isSymbolicLink() ? await promisify(readlink)(path) : null;
+    return new FileAttributes({ path, stats, target });
+};
+
+const PERMISSIONS_PATTERN = /^[-dlpscb?]?[-r][-w][-xsS][-r][-w][-xsS][-r][-w][-xtT]$/;
+const SYMBOLIC_CLAUSE = /^([ugoa]*)((?:[-+=](?:[rwxXst]*|[ugo]))+)$/;
+
+const WHO_MASKS = {
+    u: S_ISUID | 0o700,
+    g: S_ISGID | 0o070,
+    o: S_ISVTX | 0o007
+};
+
+const invalidPermissions = (permissions) => {
+    return new IllegalArgumentError({
+        message: "EINVAL, chmod invalid permissions '" + permissions + "'",
+        syscall: 'chmod'
+    });
+};
+
+export class PosixFilePermissions {
+
+    static applySymbolic(mode, expression, isDirectory=false) {
+        let result = mode & 0o7777;
+        for (let clause of String(expression).split(',')) {
+            let match = SYMBOLIC_CLAUSE.exec(clause);
+            if (match === null) {
+                throw invalidPermissions(expression);
+            }
+            let who = match[1].replace('a', 'ugo') || 'ugo';
+            let mask = who.split('').reduce((bits, c) => { return bits | WHO_MASKS[c]; }, 0);
+            for (let [, op, perms] of match[2].matchAll(/([-+=])([^-+=]*)/g)) {
+                let bits = 0;
+                if (/^[ugo]$/.test(perms)) {
+                    let source = (result >> { u: 6, g: 3, o: 0 }[perms]) & 0o7;
+                    bits = source * 0o111;
+                } else {
+                    for (let c of perms) {
+                        if (c === 'r') {
+                            bits |= 0o444;
+                        } else if (c === 'w') {
+                            bits |= 0o222;
+                        } else if (c === 'x' || (c === 'X' && (isDirectory || (result & 0o111) !== 0))) {
+                            bits |= 0o111;
+                        } else if (c === 's') {
+                            bits |= S_ISUID | S_ISGID;
+                        } else if (c === 't') {
+                            bits |= S_ISVTX;
+                        }
+                    }
+                }
+                bits &= mask;
+                if (op === '+') {
+                    result |= bits;
+                } else if (op === '-') {
+                    result &= ~bits;
+                } else {
+                    result = (result & ~mask) | bits;
+                }
+            }
+        }
+        return result;
+    }
+
+    static format(mode) {
+        return formatPermissions(mode);
+    }
+
+    static isSymbolic(permissions) {
+        return typeof permissions === 'string' && !PERMISSIONS_PATTERN.test(permissions) &&
+            !/^[0-7]{1,4}$/.test(permissions);
+    }
+
+    static parse(permissions) {
+        if (/^[0-7]{1,4}$/.test(permissions)) {
+            return parseInt(permissions, 8);
+        }
+        if (!PERMISSIONS_PATTERN.test(permissions)) {
+            throw invalidPermissions(permissions);
+        }
+        const chars = permissions.slice(-9).split('');
+        let mode = 0;
+        chars.forEach((c, i) => {
+            let bit = 1 << (8 - i);
+            if (c === 'r' || c === 'w' || c === 'x' || c === 's' || c === 't') {
+                mode |= bit;
+            }
+            if (c === 's' || c === 'S') {
+                mode |= i < 3 ? S_ISUID : S_ISGID;
+            } else if (c === 't' || c === 'T') {
+                mode |= S_ISVTX;
+            }
+        });
+        return mode;
+    }
+
+    static resolve(mode, permissions, isDirectory=false) {
+        if (typeof permissions === 'number') {
+            return permissions & 0o7777;
+        }
+        if (PosixFilePermissions.isSymbolic(permissions)) {
+            return PosixFilePermissions.applySymbolic(mode, permissions, isDirectory);
+        }
+        return PosixFilePermissions.parse(permissions);
+    }
+
+}
+
+/*
+ A recursive change that takes read or search permission away from the owner
+ of a directory runs bottom-up, otherwise the tree below it could no longer
+ be listed once the directory itself has changed.
+ */
+const permissionsOrder = (stats, permissions) => {
+    const mode = PosixFilePermissions.resolve(stats.mode, permissions, true);
+    return (stats.mode & ~mode & 0o500) !== 0 ? 'post' : 'pre';
+};
+
+const changePermissionsSync = (path, permissions, recursive) => {
+    const apply = (target, stats) => {
+        chmodSync(target, PosixFilePermissions.resolve(stats.mode, permissions, stats.isDirectory()));
+    };
+    const stats = statSync(path);
+    if (!recursive || !stats.isDirectory()) {
+        apply(path, stats);
+        return;
+    }
+    const order = permissionsOrder(stats, permissions);
+    if (order === 'pre') {
+        apply(path, stats);
+    }
+    for (let entry of walkTreeSync(walkOptions({ root: path, order, onError: rethrow }))) {
+        if (entry.depth > 0 && !entry.stats.isSymbolicLink()) {
+            apply(entry.file.path, entry.stats);
+        }
+    }
+    if (order === 'post') {
+        apply(path, stats);
+    }
+};
+
+const changePermissions = async (path, permissions, recursive) => {
+    const apply = async (target, stats) => {
+        await promisify(chmod)(target, PosixFilePermissions.resolve(stats.mode, permissions, stats.isDirectory()));
+    };
+    const stats = await promisify(stat)(path);
+    if (!recursive || !stats.isDirectory()) {
+        await apply(path, stats);
+        return;
+    }
+    const order = permissionsOrder(stats, permissions);
+    if (order === 'pre') {
+        await apply(path, stats);
+    }
+    for await (let entry of walkTree(walkOptions({ root: path, order, onError: rethrow }))) {
+        if (entry.depth > 0 && !entry.stats.isSymbolicLink()) {
+            await apply(entry.file.path, entry.stats);
+        }
+    }
+    if (order === 'post') {
+        await apply(path, stats);
+    }
+};
+
+const ACCOUNT_FILES = {
+    user: '/etc/passwd',
+    group: '/etc/group'
+};
+
+const parseAccounts = (content) => {
+    const names = new Map();
+    const ids = new Map();
+    content.split('\n').forEach((line) => {
+        let [name, , id] = line.split(':');
+        if (name && id !== undefined && /^\d+$/.test(id) && !name.startsWith('#')) {
+            // the first entry wins either way, as with getpwnam and getpwuid
+            if (!names.has(Number(id))) {
+                names.set(Number(id), name);
+            }
+            if (!ids.has(name)) {
+                ids.set(name, Number(id));
+            }
+        }
+    });
+    return { names, ids };
+};
+
+const readAccountsSync = (kind) => {
+    try {
+        return parseAccounts(readFileSync(ACCOUNT_FILES[kind], 'utf8'));
+    } catch (ex) {
+        return parseAccounts('');
+    }
+};
+
+const readAccounts = async (kind) => {
+    try {
+        return parseAccounts(await promisify(readFile)(ACCOUNT_FILES[kind], 'utf8'));
+    } catch (ex) {
+        return parseAccounts('');
+    }
+};
+
+const accountId = (accounts, kind, value) => {
+    if (value === null || value === undefined) {
+        return -1;
+    }
+    if (typeof value === 'number' || /^\d+$/.test(value)) {
+        return Number(value);
+    }
+    if (!accounts.ids.has(value)) {
+        throw new IllegalArgumentError({
+            message: "EINVAL, chown unknown " + kind + " '" + value + "'",
+            syscall: 'chown'
+        });
+    }
+    return accounts.ids.get(value);
+};
+
+const ownerOf = (stats, users, groups) => {
+    return {
+        uid: stats.uid,
+        gid: stats.gid,
+        user: users.names.get(stats.uid) || null,
+        group: groups.names.get(stats.gid) || null
+    };
+};
+
+const needsAccounts = (value) => {
+    return typeof value === 'string' && !/^\d+$/.test(value);
+};
+
+const changeOwnerSync = (path, uid, gid, recursive) => {
+    uid = accountId(needsAccounts(uid) ? readAccountsSync('user') : null, 'user', uid);
+    gid = accountId(needsAccounts(gid) ? readAccountsSync('group') : null, 'group', gid);
+    chownSync(path, uid, gid);
+    if (recursive && statSync(path).isDirectory()) {
+        for (let entry of walkTreeSync(walkOptions({ root: path, onError: rethrow }))) {
+            if (entry.depth > 0) {
+                lchownSync(entry.file.path, uid, gid);
+            }
+        }
+    }
+};
+
+const changeOwner = async (path, uid, gid, recursive) => {
+    uid = accountId(needsAccounts(uid) ? await readAccounts('user') : null, 'user', uid);
+    gid = accountId(needsAccounts(gid) ? await readAccounts('group') : null, 'group', gid);
+    await promisify(chown)(path, uid, gid);
+    if (recursive && (await promisify(stat)(path)).isDirectory()) {
+        for await (let entry of walkTree(walkOptions({ root: path, onError: rethrow }))) {
+            if (entry.depth > 0) {
+                await promisify(lchown)(entry.file.path, uid, gid);
+            }
+        }
+    }
+};
+
+const linkLoop = (path) => {
+    return new FileError({
+        code: 'ELOOP',
+        message: "ELOOP, too many levels of symbolic links '" + path + "'",
+        path,
+        syscall: 'readlink'
+    });
+};
+
+/*
+ A relative target is looked up from the real directory of its link, so a
+ '..' in it climbs out of that directory rather than out of the symlinked
+ path that led there.
+ */
+const resolveLinksSync = (path, maxDepth) => {
+    const visited = new Set();
+    let current = resolve(path);
+    for (;;) {
+        let stats;
+        try {
+            stats = lstatSync(current);
+        } catch (ex) {
+            if (visited.size > 0 && ex.code === 'ENOENT') {
+                return current;
+            }
+            throw ex;
+        }
+        if (!stats.isSymbolicLink()) {
+            return current;
+        }
+        if (visited.has(current) || visited.size >= maxDepth) {
+            throw linkLoop(path);
+        }
+        visited.add(current);
+        current = resolve(realpathSync(dirname(current)), readlinkSync(current));
+    }
+};
+
+const resolveLinks = async (path, maxDepth) => {
+    const visited = new Set();
+    let current = resolve(path);
+    for (;;) {
+        let stats;
+        try {
+            stats = await promisify(lstat)(current);
+        } catch (ex) {
+            if (visited.size > 0 && ex.code === 'ENOENT') {
+                return current;
+            }
+            throw ex;
+        }
+        if (!stats.isSymbolicLink()) {
+            return current;
+        }
+        if (visited.has(current) || visited.size >= maxDepth) {
+            throw linkLoop(path);
+        }
+        visited.add(current);
+        current = resolve(await promisify(realpath)(dirname(current)), await promisify(readlink)(current));
+    }
+};
+
+export const READ = 'r';
+export const READ_WRITE = 'r+';
+export const READ_SYNC = 'rs';
+export const READ_WRITE_SYNC = 'rs+';
+export const WRITE = 'w';
+export const WRITE_EXCLUSIVE = 'wx';
+export const WRITE_CREATE = 'w+';
+export const WRITE_CREATE_EXCLUSIVE = 'wx+';
+export const APPEND = 'a';
+export const APPEND_EXCLUSIVE = 'ax';
+export const APPEND_READ = 'a+';
+export const APPEND_READ_EXCLUSIVE = 'ax+';
+
+export const SUCCESS = 0x1;
+export const ERROR = 0x0;
+export const FILE = 0x3;
+export const DIR = 0x4;
+
+const GLOB_MAGIC = /[*?[{\\]/;
+
+const expandBraces = (pattern) => {
+    let depth = 0;
+    let start = -1;
+    for (let i = 0; i < pattern.length; i++) {
+        let c = pattern.charAt(i);
+        if (c === '\\') {
+            i++;
+        } else if (c === '{') {
+            if (depth++ === 0) {
+                start = i;
+            }
+        } else if (c === '}' && depth > 0 && --depth === 0) {
+            let head = pattern.slice(0, start);
+            let body = pattern.slice(start + 1, i);
+            let tail = pattern.slice(i + 1);
+            let alternatives = [];
+            let range = /^(-?\d+)\.\.(-?\d+)$/.exec(body);
+            if (range !== null) {
+                let from = parseInt(range[1], 10);
+                let to = parseInt(range[2], 10);
+                let step = from <= to ? 1 : -1;
+                for (let n = from; n !== to + step; n += step) {
+                    alternatives.push(String(n));
+                }
+            } else {
+                let level = 0;
+                let last = 0;
+                for (let j = 0; j < body.length; j++) {
+                    let d = body.charAt(j);
+                    if (d === '\\') {
+                        j++;
+                    } else if (d === '{') {
+                        level++;
+                    } else if (d === '}') {
+                        level--;
+                    } else if (d === ',' && level === 0) {
+                        alternatives.push(body.slice(last, j));
+                        last = j + 1;
+                    }
+                }
+                if (last === 0) {
+                    return expandBraces(tail).map((rest) => { return head + '{' + body + '}' + rest; });
+                }
+                alternatives.push(body.slice(last));
+            }
+            let result = [];
+            alternatives.forEach((alternative) => {
+                expandBraces(head + alternative + tail).forEach((p) => { result.push(p); });
+            });
+            return result;
+        }
+    }
+    return [pattern];
+};
+
+const compileSegment = (segment, dot) => {
+    let re = '';
+    for (let i = 0; i < segment.length; i++) {
+        let c = segment.charAt(i);
+        if (c === '\\' && i + 1 < segment.length) {
+            re += segment.charAt(++i).replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+        } else if (c === '*') {
+            re += '[^/]*';
+        } else if (c === '?') {
+            re += '[^/]';
+        } else if (c === '[' && segment.indexOf(']', i + 2) !== -1) {
+            let j = i + 1;
+            let negated = segment.charAt(j) === '!' || segment.charAt(j) === '^';
+            if (negated) {
+                j++;
+            }
+            let body = '';
+            let first = true;
+            for (; j < segment.length && (first || segment.charAt(j) !== ']'); j++) {
+                let d = segment.charAt(j);
+                if (d === '\\' && j + 1 < segment.length) {
+                    d = segment.charAt(++j);
+                }
+                body += d === '-' ? d : d.replace(/[\]\\^]/g, '\\$&');
+                first = false;
+            }
+            re += negated ? '[^/' + body + ']' : '[' + body + ']';
+            i = j;
+        } else {
+            re += c.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+        }
+    }
+    if (!dot && segment.charAt(0) !== '.') {
+        re = '(?!\\.)' + re;
+    }
+    return re;
+};
+
+const compileGlob = (pattern, dot=false) => {
+    let negated = false;
+    while (pattern.charAt(0) === '!') {
+        negated = !negated;
+        pattern = pattern.slice(1);
+    }
+    const any = dot ? '(?!\\.\\.?(?:/|$))[^/]+' : '(?!\\.)[^/]+';
+    const regexps = expandBraces(pattern).map((expanded) => {
+        let segments = expanded.split('/');
+        let re = '';
+        segments.forEach((segment, i) => {
+            let last = i === segments.length - 1;
+            if (segment === '**') {
+                re += last ? any + '(?:/' + any + ')*' : '(?:' + any + '/)*';
+            } else {
+                re += compileSegment(segment, dot) + (last ? '' : '/');
+            }
+        });
+        return new RegExp('^' + re + '$');
+    });
+    return { negated, regexps, pattern, dot };
+};
+
+const matchGlob = (glob, path) => {
+    if (path === '') {
+        return false;
+    }
+    let matched = glob.regexps.some((re) => { return re.test(path); });
+    if (glob.negated) {
+        return !matched && (glob.dot || !/(^|\/)\./.test(path));
+    }
+    return matched;
+};
+
+const globBase = (pattern) => {
+    if (pattern.charAt(0) === '!') {
+        return '';
+    }
+    let segments = pattern.split('/');
+    let base = [];
+    for (let i = 0; i < segments.length && !GLOB_MAGIC.test(segments[i]); i++) {
+        base.push(segments[i]);
+    }
+    return base.join('/');
+};
+
+const globDepth = (pattern) => {
+    if (pattern.charAt(0) === '!') {
+        return Infinity;
+    }
+    return Math.max(...expandBraces(pattern).map((expanded) => {
+        let segments = expanded.split('/');
+        return segments.indexOf('**') !== -1 ? Infinity : segments.length;
+    }));
+};
+
+let EX = null;
+
+const deprecations = new Set();
+
+const deprecate = (name, message) => {
+    if (!deprecations.has(name)) {
+        deprecations.add(name);
+        process.emitWarning(message, 'DeprecationWarning');
+    }
+};
+
+const traps = [];
+
+const handleError = (ex=null, cb=null) => {
+    ex = toFileError(ex);
+    if (cb !== null) {
+        cb(ERROR, ex);
+    }  else {
+        EX = ex;
+        if (traps.length > 0) {
+            traps[traps.length - 1].error = ex;
+        }
+    }
+};
+
+const handleSuccess = (result=null, cb=null) => {
+    if (cb === null) {
+        return result;
+    }
+    cb(SUCCESS, result);
+    return null;
+};
+
+export class FilenameFilter extends EventEmitter {
+
+    constructor({ file, accept = null } = {}) {
+        super();
+        if (file === null) {
+            throw new IllegalArgumentError({ argument: 'file' });
+        }
+        this.file = file;
+        if (accept !== null) {
+            this.accept = accept;
+        }
+    }
+
+    filter(sync=false) {
+        if (!sync) {
+            let result;
+            try {
+                result = this.file.checked.list((dir, name) => { return this.accept(dir, name); });
+            } catch (ex) {
+                this.emit('filter', ERROR, ex);
+                return;
+            }
+            this.emit('filter', SUCCESS, result);
+        } else {
+            this.file.list(
+                (dir, name) => { return this.accept(dir, name); },
+                (code, result) => { this.emit('filter', code, result); });
+        }
+    }
+
+    filterFiles(sync=false) {
+        if (!sync) {
+            let result;
+            try {
+                result = this.file.checked.listFiles((dir, name) => { return this.accept(dir, name); });
+            } catch (ex) {
+                this.emit('filter', ERROR, ex);
+                return;
+            }
+            this.emit('filter', SUCCESS, result);
+        } else {
+            this.file.listFiles(
+                (dir, name) => { return this.accept(dir, name); },
+                (code, result) => { this.emit('filter', code, result); });
+        }
+    }
+
+    accept(dir, name) {
+
+    }
+
+}
+
+export class GlobFilter extends FilenameFilter {
+
+    constructor({ file, pattern=null, dot=false, ignore=[] } = {}) {
+        super({ file });
+        if (pattern === null) {
+            throw new IllegalArgumentError({ argument: 'pattern' });
+        }
+        this.glob = compileGlob(pattern, dot);
+        this.ignore = (Array.isArray(ignore) ? ignore : [ignore]).map((p) => { return compileGlob(p, true); });
+        this.accept = this.accept.bind(this);
+    }
+
+    accept(dir, name) {
+        return this.matches(join(dir instanceof File ? dir.path : dir, name));
+    }
+
+    matches(path) {
+        if (this.file instanceof File && isAbsolute(path)) {
+            path = relative(this.file.getAbsolutePath(), path);
+        }
+        if (sep !== '/') {
+            path = path.split(sep).join('/');
+        }
+        return matchGlob(this.glob, path) &&
+            !this.ignore.some((glob) => { return matchGlob(glob, path); });
+    }
+
+}
+
+const preserve = (dst, stats, { preserveMode, preserveTimes }, cb=null) => {
+    const mode = stats.mode & 0o7777;
+    if (cb === null) {
+        if (preserveMode) {
+            toChecked(() => File.chmod({ src: dst, mode, sync: true }));
+        }
+        if (preserveTimes) {
+            toChecked(() => File.utimes({ src: dst, atime: stats.atime, mtime: stats.mtime, sync: true }));
+        }
+        return;
+    }
+    const times = () => {
+        if (preserveTimes) {
+            File.utimes({
+                src: dst,
+                atime: stats.atime,
+                mtime: stats.mtime,
+                onAccess: (code, reason) => { cb(code === SUCCESS ? null : reason); }
+            });
+        } else {
+            cb(null);
+        }
+    };
+    if (preserveMode) {
+        File.chmod({
+            src: dst,
+            mode,
+            onAccess: (code, reason) => { code === SUCCESS ? times() : cb(reason); }
+        });
+    } else {
+        times();
+    }
+};
+
+const copyTreeSync = (src, dst, options, ancestors=new Set()) => {
+    const stats = options.followSymlinks ? statSync(src) : lstatSync(src);
+    const key = stats.dev + ':' + stats.ino;
+    if (stats.isSymbolicLink()) {
+        let target = readlinkSync(src);
+        let exists = true;
+        try {
+            lstatSync(dst);
+        } catch (ex) {
+            exists = false;
+        }
+        if (exists) {
+            if (!options.overwrite) {
+                throw new FileExistsError({ path: dst, syscall: 'symlink' });
+            }
+            unlinkSync(dst);
+        }
+        symlinkSync(target, dst);
+    } else if (stats.isDirectory()) {
+        if (!options.recursive) {
+            throw new NotFileError({ path: src, syscall: 'copyfile' });
+        }
+        if (ancestors.has(key)) {
+            return;
+        }
+        let target = null;
+        try {
+            target = lstatSync(dst);
+        } catch (ex) {
+            if (ex.code !== 'ENOENT') {
+                throw ex;
+            }
+        }
+        if (target === null) {
+            mkdirSync(dst);
+        } else if (!target.isDirectory()) {
+            throw new NotDirectoryError({ path: dst, syscall: 'mkdir' });
+        }
+        readdirSync(src).forEach((name) => {
+            copyTreeSync(join(src, name), join(dst, name), options, new Set(ancestors).add(key));
+        });
+        preserve(dst, stats, options);
+    } else if (stats.isFile()) {
+        copyFileSync(src, dst, options.overwrite ? 0 : constants.COPYFILE_EXCL);
+        preserve(dst, stats, options);
+    } else {
+        throw new FileError({ code: 'ENOTSUP', path: src, syscall: 'copyfile' });
+    }
+};
+
+const copyTree = (src, dst, options, cb, ancestors=new Set()) => {
+    (options.followSymlinks ? stat : lstat)(src, (err, stats) => {
+        const key = stats ? stats.dev + ':' + stats.ino : null;
+        if (err) {
+            cb(err);
+        } else if (stats.isSymbolicLink()) {
+            readlink(src, (err, target) => {
+                if (err) {
+                    cb(err);
+                } else {
+                    lstat(dst, (err) => {
+                        const link = () => { symlink(target, dst, (err) => { cb(err || null); }); };
+                        if (err) {
+                            link();
+                        } else if (!options.overwrite) {
+                            cb(new FileExistsError({ path: dst, syscall: 'symlink' }));
+                        } else {
+                            unlink(dst, (err) => { err ? cb(err) : link(); });
+                        }
+                    });
+                }
+            });
+        } else if (stats.isDirectory()) {
+            if (!options.recursive) {
+                cb(new NotFileError({ path: src, syscall: 'copyfile' }));
+            } else if (ancestors.has(key)) {
+                cb(null);
+            } else {
+                lstat(dst, (err, target) => {
+                    const children = () => {
+                        readdir(src, (err, names) => {
+                            if (err) {
+                                cb(err);
+                            } else {
+                                const next = () => {
+                                    let name = names.shift();
+                                    if (name !== undefined) {
+                                        copyTree(join(src, name), join(dst, name), options, (err) => {
+                                            err ? cb(err) : next();
+                                        }, new Set(ancestors).add(key));
+                                    } else {
+                                        preserve(dst, stats, options, cb);
+                                    }
+                                };
+                                next();
+                            }
+                        });
+                    };
+                    if (err) {
+                        err.code === 'ENOENT' ? mkdir(dst, (err) => { err ? cb(err) : children(); }) : cb(err);
+                    } else if (!target.isDirectory()) {
+                        cb(new NotDirectoryError({ path: dst, syscall: 'mkdir' }));
+                    } else {
+                        children();
+                    }
+                });
+            }
+        } else if (stats.isFile()) {
+            copyFile(src, dst, options.overwrite ? 0 : constants.COPYFILE_EXCL, (err) => {
+                err ? cb(err) : preserve(dst, stats, options, cb);
+            });
+        } else {
+            cb(new FileError({ code: 'ENOTSUP', path: src, syscall: 'copyfile' }));
+        }
+    });
+};
+
+const mismatch = (src, dst) => {
+    return new FileError({
+        code: 'EIO',
+        path: src,
+        dest: dst,
+        syscall: 'verify',
+        message: "EIO, verify '" + dst + "' does not match '" + src + "'"
+    });
+};
+
+const verifyTreeSync = (src, dst) => {
+    const a = lstatSync(src);
+    const b = lstatSync(dst);
+    if (a.isDirectory()) {
+        if (!b.isDirectory()) {
+            throw mismatch(src, dst);
+        }
+        readdirSync(src).forEach((name) => {
+            verifyTreeSync(join(src, name), join(dst, name));
+        });
+    } else if (a.isSymbolicLink()) {
+        if (!b.isSymbolicLink() || readlinkSync(src) !== readlinkSync(dst)) {
+            throw mismatch(src, dst);
+        }
+    } else if (!b.isFile() || a.size !== b.size ||
+        digestSync(src, 'sha256', 'hex') !== digestSync(dst, 'sha256', 'hex')) {
+        throw mismatch(src, dst);
+    }
+};
+
+const verifyTree = (src, dst, cb) => {
+    lstat(src, (err, a) => {
+        if (err) {
+            cb(err);
+        } else {
+            lstat(dst, (err, b) => {
+                if (err) {
+                    cb(err);
+                } else if (a.isDirectory()) {
+                    if (!b.isDirectory()) {
+                        cb(mismatch(src, dst));
+                    } else {
+                        readdir(src, (err, names) => {
+                            if (err) {
+                                cb(err);
+                            } else {
+                                const next = () => {
+                                    let name = names.shift();
+                                    if (name !== undefined) {
+                                        verifyTree(join(src, name), join(dst, name), (err) => {
+                                            err ? cb(err) : next();
+                                        });
+                                    } else {
+                                        cb(null);
+                                    }
+                                };
+                                next();
+                            }
+                        });
+                    }
+                } else if (a.isSymbolicLink()) {
+                    if (!b.isSymbolicLink()) {
+                        cb(mismatch(src, dst));
+                    } else {
+                        readlink(src, (err, x) => {
+                            err ? cb(err) : readlink(dst, (err, y) => {
+                                cb(err || (x !== y ? mismatch(src, dst) : null));
+                            });
+                        });
+                    }
+                } else if (!b.isFile() || a.size !== b.size) {
+                    cb(mismatch(src, dst));
+                } else {
+                    digestStream(src, 'sha256', 'hex', (err, x) => {
+                        err ? cb(err) : digestStream(dst, 'sha256', 'hex', (err, y) => {
+                            cb(err || (x !== y ? mismatch(src, dst) : null));
+                        });
+                    });
+                }
+            });
+        }
+    });
+};
+
+const RIMRAF_RETRY_CODES = ['EBUSY', 'ENOTEMPTY'];
+
+const realPathOrSelf = (path) => {
+    try {
+        return realpathSync(path);
+    } catch (ex) {
+        return path;
+    }
+};
+
+/*
+ The path with its parent directories resolved, so the guards see where a
+ symlinked parent really leads. The entry itself is left alone since a link
+ is unlinked, not followed.
+ */
+const realParentPath = (path) => {
+    return join(realPathOrSelf(dirname(path)), basename(path));
+};
+
+/*
+ Returns the path to remove, resolved so that a trailing separator cannot
+ make lstat follow a symlink to a directory.
+ */
+const checkRemoval = (src, root) => {
+    const path = resolve(src);
+    const real = realParentPath(path);
+    const refuse = (reason) => {
+        return new AccessDeniedError({
+            code: 'EPERM',
+            message: "EPERM, rimraf refusing to remove '" + path + "': " + reason,
+            path,
+            syscall: 'rimraf'
+        });
+    };
+    if (path === parse(path).root || real === parse(real).root) {
+        throw refuse('it is the filesystem root');
+    }
+    const home = resolve(homedir());
+    if (path === home || real === home || real === realPathOrSelf(home)) {
+        throw refuse('it is the home directory');
+    }
+    if (root !== null) {
+        const boundary = resolve(root instanceof File ? root.path : root);
+        const inside = (dir, target) => {
+            return target === dir || isInside(target, dir) || dir === parse(dir).root;
+        };
+        if (!inside(boundary, path) || !inside(realPathOrSelf(boundary), real)) {
+            throw refuse("it is outside '" + boundary + "'");
+        }
+    }
+    return path;
+};
+
+const isMissing = (ex, nested) => {
+    return nested && ex.code === 'ENOENT';
+};
+
+const removeEntrySync = (path, retries, retryDelay, nested=false) => {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            if (lstatSync(path).isDirectory()) {
+                readdirSync(path).forEach((name) => {
+                    removeEntrySync(join(path, name), retries, retryDelay, true);
+                });
+                rmdirSync(path);
+            } else {
+                unlinkSync(path);
+            }
+            return;
+        } catch (ex) {
+            if (isMissing(ex, nested)) {
+                return;
+            }
+            if (attempt >= retries || RIMRAF_RETRY_CODES.indexOf(ex.code) === -1) {
+                throw ex;
+            }
+            sleepSync(retryDelay * (attempt + 1));
+        }
+    }
+};
+
+const removeEntry = async (path, retries, retryDelay, nested=false) => {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            if ((await promisify(lstat)(path)).isDirectory()) {
+                for (let name of await promisify(readdir)(path)) {
+                    await removeEntry(join(path, name), retries, retryDelay, true);
+                }
+                await promisify(rmdir)(path);
+            } else {
+                await promisify(unlink)(path);
+            }
+            return;
+        } catch (ex) {
+            if (isMissing(ex, nested)) {
+                return;
+            }
+            if (attempt >= retries || RIMRAF_RETRY_CODES.indexOf(ex.code) === -1) {
+                throw ex;
+            }
+            await new Promise((resolved) => { setTimeout(resolved, retryDelay * (attempt + 1)); });
+        }
+    }
+};
+
+const removeTreeSync = (src) => {
+    if (lstatSync(src).isDirectory()) {
+        toChecked(() => File.rimraf({ src, sync: true }));
+    } else {
+        unlinkSync(src);
+    }
+};
+
+const removeTree = (src, cb) => {
+    lstat(src, (err, stats) => {
+        if (err) {
+            cb(err);
+        } else if (stats.isDirectory()) {
+            File.rimraf({
+                src,
+                onRemove: (code, reason) => { cb(code === SUCCESS ? null : reason); }
+            });
+        } else {
+            unlink(src, (err) => { cb(err || null); });
+        }
+    });
+};
+
+/*
+ The copy fallback must leave the same result rename would, so an existing
+ destination is only replaced by the same kind of entry, and a directory only
+ when it is empty.
+ */
+const moveTargetError = (src, dst, srcStats, dstStats, names) => {
+    if (dstStats.isDirectory() && !srcStats.isDirectory()) {
+        return new NotFileError({ path: dst, syscall: 'rename' });
+    }
+    if (!dstStats.isDirectory() && srcStats.isDirectory()) {
+        return new NotDirectoryError({ path: dst, syscall: 'rename' });
+    }
+    if (dstStats.isDirectory() && names.length > 0) {
+        return new FileError({
+            code: 'ENOTEMPTY',
+            message: "ENOTEMPTY, rename '" + src + "' -> '" + dst + "'",
+            path: src,
+            dest: dst,
+            syscall: 'rename'
+        });
+    }
+    return null;
+};
+
+const checkMoveTargetSync = (src, dst) => {
+    const dstStats = lstatSync(dst);
+    const names = dstStats.isDirectory() ? readdirSync(dst) : [];
+    const err = moveTargetError(src, dst, lstatSync(src), dstStats, names);
+    if (err !== null) {
+        throw err;
+    }
+};
+
+const checkMoveTarget = (src, dst, cb) => {
+    lstat(src, (err, srcStats) => {
+        if (err) {
+            cb(err);
+            return;
+        }
+        lstat(dst, (err, dstStats) => {
+            if (err) {
+                cb(err);
+            } else if (dstStats.isDirectory()) {
+                readdir(dst, (err, names) => { cb(err || moveTargetError(src, dst, srcStats, dstStats, names)); });
+            } else {
+                cb(moveTargetError(src, dst, srcStats, dstStats, []));
+            }
+        });
+    });
+};
+
+const moveTreeSync = (src, dst, options) => {
+    let existed = true;
+    try {
+        lstatSync(dst);
+    } catch (ex) {
+        existed = false;
+    }
+    if (existed && !options.overwrite) {
+        throw new FileExistsError({ path: dst, syscall: 'rename' });
+    }
+    try {
+        renameSync(src, dst);
+        return;
+    } catch (ex) {
+        if (ex.code !== 'EXDEV') {
+            throw ex;
+        }
+    }
+    if (existed) {
+        checkMoveTargetSync(src, dst);
+    }
+    // an existing destination is only replaced by a verified copy renamed over it
+    const target = existed ? atomicTemp(dst) : dst;
+    let stage = 'copy';
+    try {
+        copyTreeSync(src, target, options);
+        stage = 'verify';
+        verifyTreeSync(src, target);
+        if (existed) {
+            stage = 'replace';
+            renameSync(target, dst);
+        }
+        stage = 'remove';
+        removeTreeSync(src);
+    } catch (ex) {
+        if (stage !== 'remove') {
+            try {
+                removeTreeSync(target);
+            } catch (e) {
+                // the partial copy is left in place, the source is untouched
+            }
+        }
+        throw new MoveError({ path: src, dest: dst, stage, copied: stage === 'remove', cause: toFileError(ex) });
+    }
+};
+
+const moveTree = (src, dst, options, cb) => {
+    lstat(dst, (err) => {
+        const existed = !err;
+        const target = existed ? atomicTemp(dst) : dst;
+        const fail = (stage, ex) => {
+            const report = () => {
+                cb(new MoveError({ path: src, dest: dst, stage, copied: stage === 'remove', cause: toFileError(ex) }));
+            };
+            stage !== 'remove' ? removeTree(target, report) : report();
+        };
+        const replace = (cb) => {
+            existed ? rename(target, dst, cb) : cb(null);
+        };
+        if (existed && !options.overwrite) {
+            cb(new FileExistsError({ path: dst, syscall: 'rename' }));
+        } else {
+            rename(src, dst, (err) => {
+                if (!err || err.code !== 'EXDEV') {
+                    cb(err || null);
+                    return;
+                }
+                const fallback = (err) => {
+                    err ? cb(err) : copyTree(src, target, options, (err) => {
+                        err ? fail('copy', err) : verifyTree(src, target, (err) => {
+                            err ? fail('verify', err) : replace((err) => {
+                                err ? fail('replace', err) : removeTree(src, (err) => {
+                                    err ? fail('remove', err) : cb(null);
+                                });
+                            });
+                        });
+                    });
+                };
+                existed ? checkMoveTarget(src, dst, fallback) : fallback(null);
+            });
+        }
+    });
+};
+
+const TREE_COMPARES = ['mtime', 'size', 'hash'];
+
+const MIRROR_COPY = { recursive: true, overwrite: true, preserveMode: true, preserveTimes: true, followSymlinks: false };
+
+const kindOf = (stats) => {
+    if (stats.isDirectory()) {
+        return 'dir';
+    }
+    if (stats.isSymbolicLink()) {
+        return 'symlink';
+    }
+    return stats.isFile() ? 'file' : 'other';
+};
+
+const sameTimes = (a, b) => {
+    return Math.abs(a.mtime.getTime() - b.mtime.getTime()) < 1;
+};
+
+const treeRoot = (root, syscall, optional=false) => {
+    const stats = lstatOrNull(root);
+    if (stats === null) {
+        if (optional) {
+            return false;
+        }
+        throw new FileNotFoundError({ path: root, syscall });
+    }
+    if (!stats.isDirectory()) {
+        throw new NotDirectoryError({ path: root, syscall });
+    }
+    return true;
+};
+
+const treeSnapshotSync = (root) => {
+    const snapshot = new Map();
+    for (let { file, stats } of walkTreeSync(walkOptions({ root, onError: rethrow }))) {
+        let path = relative(root, file.path);
+        if (path !== '') {
+            snapshot.set(path, stats);
+        }
+    }
+    return snapshot;
+};
+
+const treeSnapshot = async (root) => {
+    const snapshot = new Map();
+    for await (let { file, stats } of walkTree(walkOptions({ root, onError: rethrow }))) {
+        let path = relative(root, file.path);
+        if (path !== '') {
+            snapshot.set(path, stats);
+        }
+    }
+    return snapshot;
+};
+
+const classifyTrees = (left, right, compare) => {
+    const diff = { added: [], removed: [], modified: [], typeChanged: [], retimed: [] };
+    const checks = [];
+    left.forEach((a, path) => {
+        let b = right.get(path);
+        let kind = kindOf(a);
+        if (b === undefined) {
+            diff.removed.push({ path, a, b: null });
+        } else if (kind !== kindOf(b)) {
+            diff.typeChanged.push({ path, a, b });
+        } else if (kind === 'symlink' || (kind === 'file' && compare === 'hash' && a.size === b.size)) {
+            checks.push({ path, a, b, kind });
+        } else if (kind === 'file' && (a.size !== b.size || (compare === 'mtime' && !sameTimes(a, b)))) {
+            diff.modified.push({ path, a, b });
+        } else if (kind === 'file' && !sameTimes(a, b)) {
+            diff.retimed.push({ path, a, b });
+        }
+    });
+    right.forEach((b, path) => {
+        if (!left.has(path)) {
+            diff.added.push({ path, a: null, b });
+        }
+    });
+    return { diff, checks };
+};
+
+const settleCheck = (diff, { path, a, b, kind }, same) => {
+    if (!same) {
+        diff.modified.push({ path, a, b });
+    } else if (kind === 'file' && !sameTimes(a, b)) {
+        diff.retimed.push({ path, a, b });
+    }
+};
+
+const sortDiff = (diff) => {
+    const byPath = (x, y) => { return x.path < y.path ? -1 : x.path > y.path ? 1 : 0; };
+    Object.keys(diff).forEach((key) => { diff[key].sort(byPath); });
+    return diff;
+};
+
+const diffTreesSync = (left, right, compare, { optional=false }={}) => {
+    const { diff, checks } = classifyTrees(
+        treeRoot(left, 'diff', optional) ? treeSnapshotSync(left) : new Map(),
+        treeRoot(right, 'diff') ? treeSnapshotSync(right) : new Map(),
+        compare
+    );
+    checks.forEach((check) => {
+        let same = check.kind === 'symlink' ?
+            readlinkSync(join(left, check.path)) === readlinkSync(join(right, check.path)) :
+            digestSync(join(left, check.path), 'sha256', 'hex') === digestSync(join(right, check.path), 'sha256', 'hex');
+        settleCheck(diff, check, same);
+    });
+    return sortDiff(diff);
+};
+
+const diffTrees = async (left, right, compare, { optional=false }={}) => {
+    const snapshots = await Promise.all([
+        treeRoot(left, 'diff', optional) ? treeSnapshot(left) : new Map(),
+        treeRoot(right, 'diff') ? treeSnapshot(right) : new Map()
+    ]);
+    const { diff, checks } = classifyTrees(snapshots[0], snapshots[1], compare);
+    const readLink = promisify(readlink);
+    const digestFile = promisify(digestStream);
+    for (let check of checks) {
+        let pair = check.kind === 'symlink' ?
+            await Promise.all([readLink(join(left, check.path)), readLink(join(right, check.path))]) :
+            await Promise.all([
+                digestFile(join(left, check.path), 'sha256', 'hex'),
+                digestFile(join(right, check.path), 'sha256', 'hex')
+            ]);
+        settleCheck(diff, check, pair[0] === pair[1]);
+    }
+    return sortDiff(diff);
+};
+
+const mirrorPlan = (diff, remove) => {
+    const actions = [];
+    const claimed = diff.typeChanged.map(({ path }) => { return path; });
+    const covered = (path) => { return claimed.some((dir) => { return isInside(path, dir); }); };
+    if (remove) {
+        diff.removed.forEach(({ path }) => {
+            if (!covered(path)) {
+                actions.push({ op: 'remove', path });
+                claimed.push(path);
+            }
+        });
+    }
+    diff.typeChanged.forEach(({ path, b }) => {
+        actions.push({ op: 'replace', path, stats: b });
+    });
+    diff.added.forEach(({ path, b }) => {
+        if (!covered(path)) {
+            actions.push({ op: 'copy', path, stats: b });
+            claimed.push(path);
+        }
+    });
+    diff.modified.forEach(({ path, b }) => {
+        actions.push({ op: b.isSymbolicLink() ? 'replace' : 'copy', path, stats: b });
+    });
+    diff.retimed.forEach(({ path, b }) => {
+        actions.push({ op: 'retime', path, stats: b });
+    });
+    return actions;
+};
+
+const mirrorReport = (actions) => {
+    const report = { copied: [], removed: [], updated: [] };
+    actions.forEach(({ op, path }) => {
+        report[op === 'remove' ? 'removed' : op === 'retime' ? 'updated' : 'copied'].push(path);
+    });
+    return report;
+};
+
+const mirrorTreeSync = (src, dst, { remove, dryRun, compare }) => {
+    treeRoot(src, 'mirror');
+    const exists = treeRoot(dst, 'mirror', true);
+    const actions = mirrorPlan(diffTreesSync(dst, src, compare, { optional: true }), remove);
+    if (!dryRun) {
+        if (!exists) {
+            mkdirSync(dst, { recursive: true });
+        }
+        actions.forEach(({ op, path, stats }) => {
+            if (op === 'remove' || op === 'replace') {
+                removeTreeSync(join(dst, path));
+            }
+            if (op === 'copy' || op === 'replace') {
+                copyTreeSync(join(src, path), join(dst, path), MIRROR_COPY);
+            } else if (op === 'retime') {
+                preserve(join(dst, path), stats, { preserveMode: false, preserveTimes: true });
+            }
+        });
+    }
+    return mirrorReport(actions);
+};
+
+const mirrorTree = async (src, dst, { remove, dryRun, compare }) => {
+    treeRoot(src, 'mirror');
+    const exists = treeRoot(dst, 'mirror', true);
+    const diff = await diffTrees(dst, src, compare, { optional: true });
+    const actions = mirrorPlan(diff, remove);
+    if (!dryRun) {
+        const copyEntry = promisify(copyTree);
+        const removeEntry = promisify(removeTree);
+        const retimeEntry = promisify(preserve);
+        if (!exists) {
+            await promisify(mkdir)(dst, { recursive: true });
+        }
+        for (let { op, path, stats } of actions) {
+            if (op === 'remove' || op === 'replace') {
+                await removeEntry(join(dst, path));
+            }
+            if (op === 'copy' || op === 'replace') {
+                await copyEntry(join(src, path), join(dst, path), MIRROR_COPY);
+            } else if (op === 'retime') {
+                await retimeEntry(join(dst, path), stats, { preserveMode: false, preserveTimes: true });
+            }
+        }
+    }
+    return mirrorReport(actions);
+};
+
+const allocatedOf = (stats) => {
+    return stats.blocks !== undefined ? stats.blocks * 512 : stats.size;
+};
+
+const usageNode = (path, stats, seen) => {
+    const node = { path, apparent: 0, allocated: 0, files: 0, dirs: 0, children: [] };
+    const key = stats.dev + ':' + stats.ino;
+    node.fresh = !seen.has(key);
+    if (node.fresh) {
+        seen.add(key);
+        node.apparent = stats.size;
+        node.allocated = allocatedOf(stats);
+    }
+    stats.isDirectory() ? node.dirs++ : node.files++;
+    return node;
+};
+
+const addUsage = (node, child) => {
+    node.apparent += child.apparent;
+    node.allocated += child.allocated;
+    node.files += child.files;
+    node.dirs += child.dirs;
+    node.children.push(child);
+};
+
+const finishUsage = (node, { apparent, maxDepth }, depth=0) => {
+    const usage = {
+        path: node.path,
+        size: apparent ? node.apparent : node.allocated,
+        apparent: node.apparent,
+        allocated: node.allocated,
+        files: node.files,
+        dirs: node.dirs
+    };
+    if (depth < maxDepth && node.children.length > 0) {
+        usage.children = node.children
+            .map((child) => { return finishUsage(child, { apparent, maxDepth }, depth + 1); })
+            .sort((a, b) => { return b.size - a.size; });
+    }
+    return usage;
+};
+
+const diskUsageSync = (path, options, seen=new Set()) => {
+    let stats;
+    try {
+        stats = options.followSymlinks ? statSync(path) : lstatSync(path);
+    } catch (ex) {
+        if (ex.code === 'ENOENT' && seen.size > 0) {
+            return null;
+        }
+        throw ex;
+    }
+    const node = usageNode(path, stats, seen);
+    if (stats.isDirectory() && node.fresh) {
+        readdirSync(path).forEach((name) => {
+            let child = diskUsageSync(join(path, name), options, seen);
+            if (child !== null) {
+                addUsage(node, child);
+            }
+        });
+    }
+    return node;
+};
+
+const diskUsage = async (path, options, seen=new Set()) => {
+    let stats;
+    try {
+        stats = await promisify(options.followSymlinks ? stat : lstat)(path);
+    } catch (ex) {
+        if (ex.code === 'ENOENT' && seen.size > 0) {
+            return null;
+        }
+        throw ex;
+    }
+    const node = usageNode(path, stats, seen);
+    if (stats.isDirectory() && node.fresh) {
+        for (let name of await promisify(readdir)(path)) {
+            let child = await diskUsage(join(path, name), options, seen);
+            if (child !== null) {
+                addUsage(node, child);
+            }
+        }
+    }
+    return node;
+};
+
+const COMPRESSIONS = {
+    gzip: {
+        extensions: ['.gz', '.tgz'],
+        compress: (level) => { return createGzip(level !== null ? { level } : {}); },
+        decompress: createGunzip,
+        decompressSync: gunzipSync,
+        decompressAsync: gunzip
+    },
+    deflate: {
+        extensions: ['.zz', '.deflate'],
+        compress: (level) => { return createDeflate(level !== null ? { level } : {}); },
+        decompress: createInflate,
+        decompressSync: inflateSync,
+        decompressAsync: inflate
+    },
+    brotli: {
+        extensions: ['.br'],
+        compress: (level) => {
+            return createBrotliCompress(level !== null ?
+                { params: { [zlibConstants.BROTLI_PARAM_QUALITY]: level } } : {});
+        },
+        decompress: createBrotliDecompress,
+        decompressSync: brotliDecompressSync,
+        decompressAsync: brotliDecompress
+    }
+};
+
+const compressionOf = (path, head) => {
+    const extension = extname(path).toLowerCase();
+    const format = Object.keys(COMPRESSIONS).find((name) => {
+        return COMPRESSIONS[name].extensions.indexOf(extension) !== -1;
+    });
+    if (format !== undefined) {
+        return format;
+    }
+    return head.length >= 2 && head[0] === 0x1f && head[1] === 0x8b ? 'gzip' : null;
+};
+
+const readHead = (src) => {
+    const head = Buffer.alloc(2);
+    try {
+        const fd = openSync(src, READ);
+        try {
+            return head.subarray(0, readSync(fd, head, 0, head.length, 0));
+        } finally {
+            closeSync(fd);
+        }
+    } catch (ex) {
+        throw toFileError(ex);
+    }
+};
+
+const decompressStream = (src, input) => {
+    const format = compressionOf(src, readHead(src));
+    return format === null ? input : pipeline(input, COMPRESSIONS[format].decompress(), () => {});
+};
+
+const inflateContentSync = (src, data) => {
+    const format = compressionOf(src, data);
+    try {
+        return (format === null ? data : COMPRESSIONS[format].decompressSync(data)).toString('utf8');
+    } catch (ex) {
+        handleError(ex);
+        return ERROR;
+    }
+};
+
+// asynchronous reads resolve with a Buffer, like getContent always has
+const inflateContent = (src, data, cb) => {
+    const format = compressionOf(src, data);
+    if (format === null) {
+        handleSuccess(data, cb);
+    } else {
+        COMPRESSIONS[format].decompressAsync(data, (err, content) => { err ?
+            handleError(err, cb) : handleSuccess(content, cb); });
+    }
+};
+
+const TAR_BLOCK = 512;
+
+const TAR_TYPES = {
+    '0': 'file',
+    '\0': 'file',
+    '7': 'file',
+    '1': 'link',
+    '2': 'symlink',
+    '5': 'dir'
+};
+
+const archiveError = (message, path=null, syscall='untar') => {
+    return new FileError({ code: 'EINVAL', message: 'EINVAL, ' + message, path, syscall });
+};
+
+const writeOctal = (block, value, offset, length) => {
+    block.write(value.toString(8).padStart(length - 1, '0') + '\0', offset, length, 'ascii');
+};
+
+const readOctal = (block, offset, length) => {
+    if (block[offset] & 0x80) {
+        let value = 0;
+        for (let i = offset + 1; i < offset + length; i++) {
+            value = value * 256 + block[i];
+        }
+        return value;
+    }
+    const text = block.toString('ascii', offset, offset + length).replace(/[\0 ].*$/, '').trim();
+    return text === '' ? 0 : parseInt(text, 8);
+};
+
+const readString = (block, offset, length) => {
+    const end = block.indexOf(0, offset);
+    return block.toString('utf8', offset, end === -1 || end > offset + length ? offset + length : end);
+};
+
+const tarChecksum = (block) => {
+    let sum = 0;
+    for (let i = 0; i < TAR_BLOCK; i++) {
+        sum += i >= 148 && i < 156 ? 0x20 : block[i];
+    }
+    return sum;
+};
+
+const splitTarName = (name) => {
+    if (Buffer.byteLength(name) <= 100) {
+        return { name, prefix: '' };
+    }
+    for (let i = name.indexOf('/'); i !== -1; i = name.indexOf('/', i + 1)) {
+        let prefix = name.slice(0, i);
+        let rest = name.slice(i + 1);
+        if (Buffer.byteLength(prefix) <= 155 && rest !== '' && Buffer.byteLength(rest) <= 100) {
+            return { name: rest, prefix };
+        }
+    }
+    return null;
+};
+
+const paxRecord = (key, value) => {
+    const body = ' ' + key + '=' + value + '\n';
+    let length = Buffer.byteLength(body);
+    let size = length + String(length).length;
+    if (String(size).length !== String(length).length) {
+        size = length + String(size).length;
+    }
+    return size + body;
+};
+
+const tarBlock = ({ name, prefix='', mode, uid, gid, size, mtime, type, linkname='' }) => {
+    const block = Buffer.alloc(TAR_BLOCK);
+    block.write(name, 0, 100, 'utf8');
+    writeOctal(block, mode & 0o7777, 100, 8);
+    writeOctal(block, uid, 108, 8);
+    writeOctal(block, gid, 116, 8);
+    writeOctal(block, size, 124, 12);
+    writeOctal(block, mtime, 136, 12);
+    block.write(type, 156, 1, 'ascii');
+    block.write(linkname, 157, 100, 'utf8');
+    block.write('ustar\u000000', 257, 8, 'ascii');
+    block.write(prefix, 345, 155, 'utf8');
+    block.write(tarChecksum(block).toString(8).padStart(6, '0') + '\0 ', 148, 8, 'ascii');
+    return block;
+};
+
+const tarPadding = (size) => {
+    return Buffer.alloc((TAR_BLOCK - size % TAR_BLOCK) % TAR_BLOCK);
+};
+
+const tarHeader = (name, stats, type, size, linkname='') => {
+    const pax = [];
+    let fields = splitTarName(name);
+    if (fields === null) {
+        pax.push(paxRecord('path', name));
+        fields = splitTarName(name.slice(-100).replace(/^[^/]*\//, '')) || { name: '', prefix: '' };
+    }
+    if (Buffer.byteLength(linkname) > 100) {
+        pax.push(paxRecord('linkpath', linkname));
+        linkname = '';
+    }
+    if (size > 0o77777777777) {
+        pax.push(paxRecord('size', String(size)));
+    }
+    let uid = stats.uid;
+    let gid = stats.gid;
+    if (uid > 0o7777777 || gid > 0o7777777) {
+        pax.push(paxRecord('uid', String(uid)), paxRecord('gid', String(gid)));
+        uid = gid = 0;
+    }
+    const header = tarBlock({
+        name: fields.name,
+        prefix: fields.prefix,
+        mode: stats.mode,
+        uid,
+        gid,
+        size: size > 0o77777777777 ? 0 : size,
+        mtime: Math.floor(stats.mtime.getTime() / 1000),
+        type,
+        linkname
+    });
+    if (pax.length === 0) {
+        return header;
+    }
+    const body = Buffer.from(pax.join(''), 'utf8');
+    const paxHeader = tarBlock({
+        name: 'PaxHeader/' + basename(name).slice(0, 80),
+        mode: 0o644,
+        uid: 0,
+        gid: 0,
+        size: body.length,
+        mtime: Math.floor(stats.mtime.getTime() / 1000),
+        type: 'x'
+    });
+    return Buffer.concat([paxHeader, body, tarPadding(body.length), header]);
+};
+
+async function* tarBlocks(src, dst) {
+    const base = dirname(src);
+    const exclude = resolve(dst);
+    for await (let { file, stats } of walkTree(walkOptions({ root: src, onError: rethrow }))) {
+        let path = file.path;
+        let name = relative(base, path).split(sep).join('/');
+        if (resolve(path) === exclude) {
+            continue;
+        }
+        if (stats.isDirectory()) {
+            yield tarHeader(name + '/', stats, '5', 0);
+        } else if (stats.isSymbolicLink()) {
+            yield tarHeader(name, stats, '2', 0, await promisify(readlink)(path));
+        } else if (stats.isFile()) {
+            yield tarHeader(name, stats, '0', stats.size);
+            let written = 0;
+            if (stats.size > 0) {
+                for await (let chunk of createReadStream(path, { start: 0, end: stats.size - 1 })) {
+                    written += chunk.length;
+                    yield chunk;
+                }
+            }
+            if (written !== stats.size) {
+                throw new FileError({
+                    code: 'EIO',
+                    message: "EIO, tar '" + path + "' changed while being archived",
+                    path,
+                    syscall: 'tar'
+                });
+            }
+            yield tarPadding(stats.size);
+        }
+    }
+    yield Buffer.alloc(TAR_BLOCK * 2);
+}
+
+const tarTree = (src, dst, gzip, cb) => {
+    const streams = [Readable.from(tarBlocks(src, dst))];
+    if (gzip) {
+        streams.push(createGzip());
+    }
+    streams.push(createWriteStream(dst));
+    pipeline(...streams, (err) => {
+        if (err) {
+            unlink(dst, () => { cb(err); });
+        } else {
+            cb(null);
+        }
+    });
+};
+
+class TarReader {
+
+    constructor(stream) {
+        this.iterator = stream[Symbol.asyncIterator]();
+        this.chunks = [];
+        this.length = 0;
+        this.done = false;
+    }
+
+    async fill(n) {
+        while (this.length < n && !this.done) {
+            let { value, done } = await this.iterator.next();
+            if (done) {
+                this.done = true;
+            } else if (value.length > 0) {
+                this.chunks.push(value);
+                this.length += value.length;
+            }
+        }
+        return this.length >= n;
+    }
+
+    async *read(n) {
+        while (n > 0) {
+            if (!await this.fill(1)) {
+                throw archiveError('unexpected end of archive');
+            }
+            let head = this.chunks[0];
+            if (head.length <= n) {
+                this.chunks.shift();
+            } else {
+                this.chunks[0] = head.subarray(n);
+                head = head.subarray(0, n);
+            }
+            this.length -= head.length;
+            n -= head.length;
+            yield head;
+        }
+    }
+
+    async readBlock(n) {
+        if (n > 0 && this.length === 0 && !await this.fill(1)) {
+            return null;
+        }
+        const parts = [];
+        for await (let part of this.read(n)) {
+            parts.push(part);
+        }
+        return parts.length === 1 ? parts[0] : Buffer.concat(parts);
+    }
+
+    async skip(n) {
+        const chunks = this.read(n);
+        while (!(await chunks.next()).done) {
+            // discarded
+        }
+    }
+
+}
+
+const parsePax = (body) => {
+    const records = {};
+    let offset = 0;
+    while (offset < body.length) {
+        let space = body.indexOf(0x20, offset);
+        let length = parseInt(body.toString('ascii', offset, space), 10);
+        if (space === -1 || isNaN(length) || length <= 0) {
+            break;
+        }
+        let record = body.toString('utf8', space + 1, offset + length - 1);
+        let equals = record.indexOf('=');
+        records[record.slice(0, equals)] = record.slice(equals + 1);
+        offset += length;
+    }
+    return records;
+};
+
+const parseTarHeader = (block) => {
+    if (tarChecksum(block) !== readOctal(block, 148, 8)) {
+        throw archiveError('invalid tar header checksum');
+    }
+    const prefix = block.toString('ascii', 257, 263) === 'ustar\0' ? readString(block, 345, 155) : '';
+    const name = readString(block, 0, 100);
+    return {
+        name: prefix !== '' ? prefix + '/' + name : name,
+        mode: readOctal(block, 100, 8),
+        uid: readOctal(block, 108, 8),
+        gid: readOctal(block, 116, 8),
+        size: readOctal(block, 124, 12),
+        mtime: readOctal(block, 136, 12),
+        type: String.fromCharCode(block[156]),
+        linkname: readString(block, 157, 100)
+    };
+};
+
+const archiveTarget = (root, name, strip, syscall='untar') => {
+    const parts = name.split('/').filter((part) => { return part !== '' && part !== '.'; });
+    if (parts.length <= strip) {
+        return null;
+    }
+    const path = parts.slice(strip).join('/');
+    const target = resolve(root, path);
+    if (target !== root && !isInside(target, root)) {
+        throw archiveError("entry '" + name + "' escapes '" + root + "'", name, syscall);
+    }
+    return { path, target };
+};
+
+const lstatIfExists = async (path) => {
+    try {
+        return await promisify(lstat)(path);
+    } catch (ex) {
+        if (ex.code !== 'ENOENT') {
+            throw ex;
+        }
+        return null;
+    }
+};
+
+/*
+ Extraction state shared by untar and unzip: the real root, and the symlinks
+ created by this archive, which later entries are never written through.
+ */
+const archiveRoot = async (root) => {
+    await promisify(mkdir)(root, { recursive: true });
+    return { root, real: await promisify(realpath)(root), links: new Set() };
+};
+
+const insideArchive = (archive, path) => {
+    return path === archive.real || isInside(path, archive.real);
+};
+
+/*
+ Checks every component of dir below the root with lstat, instead of letting
+ mkdir or open follow them, and creates the missing ones when asked. A
+ symlink already in dst may be crossed while its real path stays inside.
+ */
+const archiveDir = async (archive, dir, name, syscall, create=true) => {
+    if (!isInside(dir, archive.root)) {
+        return;
+    }
+    let path = archive.root;
+    for (let part of relative(archive.root, dir).split(sep)) {
+        if (part === '') {
+            continue;
+        }
+        path = join(path, part);
+        if (archive.links.has(path)) {
+            throw archiveError("entry '" + name + "' is written through symlink '" +
+                relative(archive.root, path) + "'", name, syscall);
+        }
+        let stats = await lstatIfExists(path);
+        if (stats !== null && stats.isSymbolicLink()) {
+            let real = await promisify(realpath)(path).catch(() => { return null; });
+            if (real === null || !insideArchive(archive, real)) {
+                throw archiveError("entry '" + name + "' escapes '" + archive.root + "'", name, syscall);
+            }
+        } else if (create && (stats === null || !stats.isDirectory())) {
+            await promisify(mkdir)(path);
+        }
+    }
+};
+
+const MAX_ARCHIVE_LINKS = 40;
+
+/*
+ Resolves a symlink's target the way the kernel will, following the links
+ already extracted, since a plain path resolve cannot see that 'b/..' leaves
+ the root when b is a link to '.'.
+ */
+const resolveArchiveLink = async (dir, linkname, depth=0) => {
+    if (depth > MAX_ARCHIVE_LINKS) {
+        throw linkLoop(linkname);
+    }
+    let path = dir;
+    for (let part of linkname.split('/')) {
+        if (part === '' || part === '.') {
+            continue;
+        }
+        if (part === '..') {
+            path = dirname(path);
+            continue;
+        }
+        let next = join(path, part);
+        let stats = await lstatIfExists(next);
+        path = stats !== null && stats.isSymbolicLink() ?
+            await resolveArchiveLink(path, await promisify(readlink)(next), depth + 1) :
+            next;
+    }
+    return path;
+};
+
+const archiveLink = async (archive, target, linkname, name, syscall) => {
+    const escapes = () => {
+        return archiveError("symlink '" + name + "' escapes '" + archive.root + "'", name, syscall);
+    };
+    if (isAbsolute(linkname)) {
+        throw escapes();
+    }
+    const real = await promisify(realpath)(dirname(target));
+    if (!insideArchive(archive, await resolveArchiveLink(real, linkname))) {
+        throw escapes();
+    }
+};
+
+// a refused symlink is skipped and reported when the caller passed onError
+const skipArchiveLink = (ex, onError) => {
+    if (onError === null) {
+        throw ex;
+    }
+    onError(toFileError(ex));
+};
+
+const clearTarget = async (target) => {
+    let stats = null;
+    try {
+        stats = await promisify(lstat)(target);
+    } catch (ex) {
+        if (ex.code !== 'ENOENT') {
+            throw ex;
+        }
+    }
+    if (stats !== null && !stats.isDirectory()) {
+        await promisify(removeTree)(target);
+    }
+};
+
+const extractTar = async (stream, root, { strip, filter, onError }) => {
+    const reader = new TarReader(stream);
+    const archive = await archiveRoot(root);
+    const dirs = [];
+    const extracted = [];
+    let globals = {};
+    let overrides = {};
+    for (;;) {
+        let block = await reader.readBlock(TAR_BLOCK);
+        if (block === null || block.every((byte) => { return byte === 0; })) {
+            break;
+        }
+        let header = parseTarHeader(block);
+        if (header.type === 'x' || header.type === 'g' || header.type === 'L' || header.type === 'K') {
+            let body = header.size > 0 ? await reader.readBlock(header.size) : Buffer.alloc(0);
+            await reader.skip((TAR_BLOCK - header.size % TAR_BLOCK) % TAR_BLOCK);
+            if (header.type === 'x') {
+                overrides = Object.assign(overrides, parsePax(body));
+            } else if (header.type === 'g') {
+                globals = Object.assign(globals, parsePax(body));
+            } else {
+                overrides[header.type === 'L' ? 'path' : 'linkpath'] = readString(body, 0, body.length);
+            }
+            continue;
+        }
+        let fields = Object.assign({}, globals, overrides);
+        let size = fields.size !== undefined ? Number(fields.size) : header.size;
+        let padding = (TAR_BLOCK - size % TAR_BLOCK) % TAR_BLOCK;
+        overrides = {};
+        let entry = {
+            path: fields.path !== undefined ? fields.path : header.name,
+            type: TAR_TYPES[header.type] || 'other',
+            mode: header.mode,
+            size,
+            mtime: new Date((fields.mtime !== undefined ? parseFloat(fields.mtime) : header.mtime) * 1000),
+            linkname: fields.linkpath !== undefined ? fields.linkpath : header.linkname
+        };
+        let location = archiveTarget(root, entry.path, strip);
+        if (location !== null) {
+            entry.path = location.path;
+        }
+        if (location === null || entry.type === 'other' || (filter !== null && !filter(entry))) {
+            await reader.skip(size + padding);
+            continue;
+        }
+        let target = location.target;
+        await archiveDir(archive, dirname(target), entry.path, 'untar');
+        if (entry.type === 'symlink') {
+            try {
+                await archiveLink(archive, target, entry.linkname, entry.path, 'untar');
+            } catch (ex) {
+                skipArchiveLink(ex, onError);
+                await reader.skip(size + padding);
+                continue;
+            }
+        }
+        await clearTarget(target);
+        archive.links.delete(target);
+        if (entry.type === 'dir') {
+            await archiveDir(archive, target, entry.path, 'untar');
+            dirs.push({ target, entry });
+        } else if (entry.type === 'symlink') {
+            await promisify(symlink)(entry.linkname, target);
+            archive.links.add(target);
+        } else if (entry.type === 'link') {
+            let source = archiveTarget(root, entry.linkname, strip);
+            if (source === null) {
+                throw archiveError("hard link '" + entry.path + "' escapes '" + root + "'", entry.path);
+            }
+            await archiveDir(archive, dirname(source.target), entry.path, 'untar', false);
+            await promisify(link)(source.target, target);
+        } else {
+            await new Promise((resolved, rejected) => {
+                pipeline(Readable.from(reader.read(size)), createWriteStream(target, { mode: 0o600 }), (err) => {
+                    err ? rejected(err) : resolved();
+                });
+            });
+            await promisify(chmod)(target, entry.mode & 0o1777);
+            await promisify(utimes)(target, entry.mtime, entry.mtime);
+            size = 0;
+        }
+        await reader.skip(size + padding);
+        extracted.push(entry.path);
+    }
+    for (let { target, entry } of dirs.reverse()) {
+        await promisify(chmod)(target, entry.mode & 0o1777);
+        await promisify(utimes)(target, entry.mtime, entry.mtime);
+    }
+    return extracted;
+};
+
+const untarTree = (src, dst, options, cb) => {
+    let input;
+    try {
+        input = decompressStream(src, createReadStream(src));
+    } catch (ex) {
+        cb(ex);
+        return;
+    }
+    extractTar(input, resolve(dst), options).then(
+        (extracted) => { cb(null, extracted); },
+        (err) => {
+            input.destroy();
+            cb(err);
+        });
+};
+
+const ZIP_LOCAL = 0x04034b50;
+const ZIP_CENTRAL = 0x02014b50;
+const ZIP_END = 0x06054b50;
+const ZIP64_END = 0x06064b50;
+const ZIP64_LOCATOR = 0x07064b50;
+const ZIP_STORED = 0;
+const ZIP_DEFLATED = 8;
+const ZIP_ENCRYPTED = 0x0001;
+const ZIP_UTF8 = 0x0800;
+const ZIP_MAX16 = 0xffff;
+const ZIP_MAX32 = 0xffffffff;
+const ZIP64_THRESHOLD = ZIP_MAX32 - 0x800000;
+
+const ZIP_METHODS = {
+    store: ZIP_STORED,
+    deflate: ZIP_DEFLATED
+};
+
+const CRC_TABLE = (() => {
+    const table = new Int32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c;
+    }
+    return table;
+})();
+
+const crc32 = (buffer, crc=0) => {
+    crc = ~crc;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return ~crc >>> 0;
+};
+
+const fromDosTime = (date, time) => {
+    return new Date(((date >> 9) & 0x7f) + 1980, ((date >> 5) & 0x0f) - 1, date & 0x1f,
+        (time >> 11) & 0x1f, (time >> 5) & 0x3f, (time & 0x1f) * 2);
+};
+
+const toDosTime = (mtime) => {
+    if (mtime.getFullYear() < 1980) {
+        return { date: (1 << 5) | 1, time: 0 };
+    }
+    return {
+        date: ((mtime.getFullYear() - 1980) << 9) | ((mtime.getMonth() + 1) << 5) | mtime.getDate(),
+        time: (mtime.getHours() << 11) | (mtime.getMinutes() << 5) | (mtime.getSeconds() >> 1)
+    };
+};
+
+const readUInt64 = (buffer, offset) => {
+    return Number(buffer.readBigUInt64LE(offset));
+};
+
+const parseZipEntry = (directory, offset) => {
+    const madeBy = directory.readUInt16LE(offset + 4);
+    const flags = directory.readUInt16LE(offset + 8);
+    const nameLength = directory.readUInt16LE(offset + 28);
+    const extraLength = directory.readUInt16LE(offset + 30);
+    const commentLength = directory.readUInt16LE(offset + 32);
+    const external = directory.readUInt32LE(offset + 38);
+    const start = offset + 46;
+    const name = directory.toString(flags & ZIP_UTF8 ? 'utf8' : 'latin1', start, start + nameLength)
+        .replace(/\\/g, '/');
+    const entry = {
+        name,
+        type: 'file',
+        method: directory.readUInt16LE(offset + 10),
+        flags,
+        crc: directory.readUInt32LE(offset + 16),
+        compressedSize: directory.readUInt32LE(offset + 20),
+        size: directory.readUInt32LE(offset + 24),
+        offset: directory.readUInt32LE(offset + 42),
+        mode: (madeBy >> 8) === 3 ? external >>> 16 : 0,
+        mtime: fromDosTime(directory.readUInt16LE(offset + 14), directory.readUInt16LE(offset + 12))
+    };
+    const end = start + nameLength + extraLength;
+    for (let extra = start + nameLength; extra + 4 <= end;) {
+        let id = directory.readUInt16LE(extra);
+        let length = directory.readUInt16LE(extra + 2);
+        let field = extra + 4;
+        if (id === 0x0001) {
+            ['size', 'compressedSize', 'offset'].forEach((key) => {
+                if (entry[key] === ZIP_MAX32 && field + 8 <= extra + 4 + length) {
+                    entry[key] = readUInt64(directory, field);
+                    field += 8;
+                }
+            });
+        } else if (id === 0x5455 && length >= 5 && (directory[field] & 1)) {
+            entry.mtime = new Date(directory.readUInt32LE(field + 1) * 1000);
+        }
+        extra += 4 + length;
+    }
+    if (name.endsWith('/') || (external & 0x10) !== 0) {
+        entry.type = 'dir';
+    } else if ((entry.mode & 0o170000) === 0o120000) {
+        entry.type = 'symlink';
+    }
+    return { entry, length: 46 + nameLength + extraLength + commentLength };
+};
+
+function* zipDirectory(path, size) {
+    const invalid = (message) => { return archiveError(message + " '" + path + "'", path, 'unzip'); };
+    const tailLength = Math.min(size, 22 + ZIP_MAX16);
+    const tail = yield [size - tailLength, tailLength];
+    let end = -1;
+    for (let i = tail.length - 22; i >= 0; i--) {
+        if (tail.readUInt32LE(i) === ZIP_END) {
+            end = i;
+            break;
+        }
+    }
+    if (end === -1) {
+        throw invalid('not a zip archive');
+    }
+    let count = tail.readUInt16LE(end + 10);
+    let directorySize = tail.readUInt32LE(end + 12);
+    let directoryOffset = tail.readUInt32LE(end + 16);
+    const endPosition = size - tailLength + end;
+    if ((count === ZIP_MAX16 || directorySize === ZIP_MAX32 || directoryOffset === ZIP_MAX32) && endPosition >= 20) {
+        const locator = yield [endPosition - 20, 20];
+        if (locator.readUInt32LE(0) === ZIP64_LOCATOR) {
+            const record = yield [readUInt64(locator, 8), 56];
+            if (record.length < 56 || record.readUInt32LE(0) !== ZIP64_END) {
+                throw invalid('invalid zip64 end of central directory in');
+            }
+            count = readUInt64(record, 32);
+            directorySize = readUInt64(record, 40);
+            directoryOffset = readUInt64(record, 48);
+        }
+    }
+    const directory = yield [directoryOffset, directorySize];
+    const entries = [];
+    for (let i = 0, offset = 0; i < count; i++) {
+        if (offset + 46 > directory.length || directory.readUInt32LE(offset) !== ZIP_CENTRAL) {
+            throw invalid('invalid central directory in');
+        }
+        let { entry, length } = parseZipEntry(directory, offset);
+        entries.push(entry);
+        offset += length;
+    }
+    return entries;
+}
+
+const readStepsSync = (fd, steps) => {
+    let step = steps.next();
+    while (!step.done) {
+        let [position, length] = step.value;
+        let buffer = Buffer.alloc(length);
+        step = steps.next(buffer.subarray(0, readSync(fd, buffer, 0, length, position)));
+    }
+    return step.value;
+};
+
+const readSteps = (fd, steps, cb) => {
+    const next = (buffer) => {
+        let step;
+        try {
+            step = steps.next(buffer);
+        } catch (ex) {
+            cb(ex);
+            return;
+        }
+        if (step.done) {
+            cb(null, step.value);
+            return;
+        }
+        let [position, length] = step.value;
+        let chunk = Buffer.alloc(length);
+        read(fd, chunk, 0, length, position, (err, bytesRead) => { err ? cb(err) : next(chunk.subarray(0, bytesRead)); });
+    };
+    next();
+};
+
+const zipEntryData = async (zip, entry) => {
+    if (entry.flags & ZIP_ENCRYPTED) {
+        throw archiveError("encrypted entry '" + entry.name + "' is not supported", entry.name, 'unzip');
+    }
+    if (entry.method !== ZIP_STORED && entry.method !== ZIP_DEFLATED) {
+        throw archiveError("compression method " + entry.method + " of '" + entry.name + "' is not supported",
+            entry.name, 'unzip');
+    }
+    const header = Buffer.alloc(30);
+    await promisify(read)(zip.fd, header, 0, header.length, entry.offset);
+    if (header.readUInt32LE(0) !== ZIP_LOCAL) {
+        throw archiveError("invalid local header of '" + entry.name + "'", entry.name, 'unzip');
+    }
+    const start = entry.offset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+    const raw = entry.compressedSize > 0 ?
+        createReadStream(zip.file.path, { fd: zip.fd, start, end: start + entry.compressedSize - 1, autoClose: false }) :
+        Readable.from([]);
+    return entry.method === ZIP_STORED ? raw : pipeline(raw, createInflateRaw(), () => {});
+};
+
+async function* zipEntryChunks(zip, entry) {
+    let crc = 0;
+    let size = 0;
+    for await (let chunk of await zipEntryData(zip, entry)) {
+        crc = crc32(chunk, crc);
+        size += chunk.length;
+        yield chunk;
+    }
+    if (crc !== entry.crc || size !== entry.size) {
+        throw archiveError("corrupt entry '" + entry.name + "'", entry.name, 'unzip');
+    }
+}
+
+const extractZipEntry = async (zip, entry, target, archive, onError=null) => {
+    await archiveDir(archive, dirname(target), entry.name, 'unzip');
+    let linkname = null;
+    if (entry.type === 'symlink') {
+        const parts = [];
+        for await (let chunk of zipEntryChunks(zip, entry)) {
+            parts.push(chunk);
+        }
+        linkname = Buffer.concat(parts).toString('utf8');
+        try {
+            await archiveLink(archive, target, linkname, entry.name, 'unzip');
+        } catch (ex) {
+            skipArchiveLink(ex, onError);
+            return false;
+        }
+    }
+    await clearTarget(target);
+    archive.links.delete(target);
+    if (entry.type === 'dir') {
+        await archiveDir(archive, target, entry.name, 'unzip');
+        return true;
+    }
+    if (entry.type === 'symlink') {
+        await promisify(symlink)(linkname, target);
+        archive.links.add(target);
+        return true;
+    }
+    await new Promise((resolved, rejected) => {
+        pipeline(Readable.from(zipEntryChunks(zip, entry)), createWriteStream(target, { mode: 0o600 }), (err) => {
+            err ? rejected(err) : resolved();
+        });
+    }).catch((err) => {
+        return promisify(unlink)(target).catch(() => {}).then(() => { throw err; });
+    });
+    await promisify(chmod)(target, entry.mode & 0o777 ? entry.mode & 0o1777 : 0o644);
+    await promisify(utimes)(target, entry.mtime, entry.mtime);
+    return true;
+};
+
+const extractZip = async (zip, root, { strip, filter, onError }) => {
+    const archive = await archiveRoot(root);
+    const dirs = [];
+    const extracted = [];
+    for (let entry of zip.entries) {
+        let location = archiveTarget(root, entry.name, strip, 'unzip');
+        if (location === null) {
+            continue;
+        }
+        let item = Object.assign({}, entry, { path: location.path });
+        if (filter !== null && !filter(item)) {
+            continue;
+        }
+        if (!await extractZipEntry(zip, entry, location.target, archive, onError)) {
+            continue;
+        }
+        if (entry.type === 'dir') {
+            dirs.push({ target: location.target, entry });
+        }
+        extracted.push(location.path);
+    }
+    for (let { target, entry } of dirs.reverse()) {
+        if (entry.mode & 0o777) {
+            await promisify(chmod)(target, entry.mode & 0o1777);
+        }
+        await promisify(utimes)(target, entry.mtime, entry.mtime);
+    }
+    return extracted;
+};
+
+const zipTimeField = (mtime) => {
+    const field = Buffer.alloc(9);
+    field.writeUInt16LE(0x5455, 0);
+    field.writeUInt16LE(5, 2);
+    field.writeUInt8(1, 4);
+    field.writeUInt32LE(Math.max(0, Math.floor(mtime.getTime() / 1000)), 5);
+    return field;
+};
+
+const zipCentralRecord = ({ name, method, crc, compressedSize, size, offset, stats }) => {
+    const values = [['size', size], ['compressedSize', compressedSize], ['offset', offset]]
+        .filter(([, value]) => { return value >= ZIP_MAX32; });
+    const zip64 = Buffer.alloc(values.length > 0 ? 4 + values.length * 8 : 0);
+    if (values.length > 0) {
+        zip64.writeUInt16LE(0x0001, 0);
+        zip64.writeUInt16LE(values.length * 8, 2);
+        values.forEach(([, value], i) => { zip64.writeBigUInt64LE(BigInt(value), 4 + i * 8); });
+    }
+    const extra = Buffer.concat([zipTimeField(stats.mtime), zip64]);
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const { date, time } = toDosTime(stats.mtime);
+    const header = Buffer.alloc(46);
+    header.writeUInt32LE(ZIP_CENTRAL, 0);
+    header.writeUInt16LE((3 << 8) | 45, 4);
+    header.writeUInt16LE(values.length > 0 ? 45 : 20, 6);
+    header.writeUInt16LE(ZIP_UTF8, 8);
+    header.writeUInt16LE(method, 10);
+    header.writeUInt16LE(time, 12);
+    header.writeUInt16LE(date, 14);
+    header.writeUInt32LE(crc, 16);
+    header.writeUInt32LE(Math.min(compressedSize, ZIP_MAX32), 20);
+    header.writeUInt32LE(Math.min(size, ZIP_MAX32), 24);
+    header.writeUInt16LE(nameBuffer.length, 28);
+    header.writeUInt16LE(extra.length, 30);
+    header.writeUInt32LE((((stats.mode & 0xffff) << 16) | (stats.isDirectory() ? 0x10 : 0)) >>> 0, 38);
+    header.writeUInt32LE(Math.min(offset, ZIP_MAX32), 42);
+    return Buffer.concat([header, nameBuffer, extra]);
+};
+
+const zipEndRecords = (count, directoryOffset, directorySize) => {
+    const records = [];
+    if (count >= ZIP_MAX16 || directoryOffset >= ZIP_MAX32 || directorySize >= ZIP_MAX32) {
+        const record = Buffer.alloc(56);
+        record.writeUInt32LE(ZIP64_END, 0);
+        record.writeBigUInt64LE(44n, 4);
+        record.writeUInt16LE((3 << 8) | 45, 12);
+        record.writeUInt16LE(45, 14);
+        record.writeBigUInt64LE(BigInt(count), 24);
+        record.writeBigUInt64LE(BigInt(count), 32);
+        record.writeBigUInt64LE(BigInt(directorySize), 40);
+        record.writeBigUInt64LE(BigInt(directoryOffset), 48);
+        const locator = Buffer.alloc(20);
+        locator.writeUInt32LE(ZIP64_LOCATOR, 0);
+        locator.writeBigUInt64LE(BigInt(directoryOffset + directorySize), 8);
+        locator.writeUInt32LE(1, 16);
+        records.push(record, locator);
+    }
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(ZIP_END, 0);
+    end.writeUInt16LE(Math.min(count, ZIP_MAX16), 8);
+    end.writeUInt16LE(Math.min(count, ZIP_MAX16), 10);
+    end.writeUInt32LE(Math.min(directorySize, ZIP_MAX32), 12);
+    end.writeUInt32LE(Math.min(directoryOffset, ZIP_MAX32), 16);
+    records.push(end);
+    return Buffer.concat(records);
+};
+
+const createZip = async (sources, dst, method, level) => {
+    const writeAt = promisify(write);
+    const fd = await promisify(open)(dst, WRITE);
+    const central = [];
+    let position = 0;
+    const emit = async (buffer) => {
+        for (let offset = 0; offset < buffer.length;) {
+            offset += (await writeAt(fd, buffer, offset, buffer.length - offset, position + offset)).bytesWritten;
+        }
+        position += buffer.length;
+        return buffer.length;
+    };
+    const add = async (path, name, stats) => {
+        const entry = { name, method: ZIP_STORED, crc: 0, compressedSize: 0, size: 0, offset: position, stats };
+        const zip64 = stats.isFile() && stats.size >= ZIP64_THRESHOLD;
+        const nameBuffer = Buffer.from(name, 'utf8');
+        const timeField = zipTimeField(stats.mtime);
+        const zip64Field = Buffer.alloc(zip64 ? 20 : 0);
+        if (zip64) {
+            zip64Field.writeUInt16LE(0x0001, 0);
+            zip64Field.writeUInt16LE(16, 2);
+        }
+        if (stats.isFile() && stats.size > 0) {
+            entry.method = method;
+        }
+        const { date, time } = toDosTime(stats.mtime);
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(ZIP_LOCAL, 0);
+        header.writeUInt16LE(zip64 ? 45 : 20, 4);
+        header.writeUInt16LE(ZIP_UTF8, 6);
+        header.writeUInt16LE(entry.method, 8);
+        header.writeUInt16LE(time, 10);
+        header.writeUInt16LE(date, 12);
+        header.writeUInt32LE(zip64 ? ZIP_MAX32 : 0, 18);
+        header.writeUInt32LE(zip64 ? ZIP_MAX32 : 0, 22);
+        header.writeUInt16LE(nameBuffer.length, 26);
+        header.writeUInt16LE(timeField.length + zip64Field.length, 28);
+        await emit(Buffer.concat([header, nameBuffer, timeField, zip64Field]));
+        let chunks = [];
+        if (stats.isSymbolicLink()) {
+            chunks = [Buffer.from(await promisify(readlink)(path), 'utf8')];
+        } else if (stats.isFile()) {
+            chunks = (async function* () {
+                for await (let chunk of createReadStream(path)) {
+                    entry.crc = crc32(chunk, entry.crc);
+                    entry.size += chunk.length;
+                    yield chunk;
+                }
+            })();
+            if (entry.method === ZIP_DEFLATED) {
+                chunks = pipeline(Readable.from(chunks), createDeflateRaw(level !== null ? { level } : {}), () => {});
+            }
+        }
+        for await (let chunk of chunks) {
+            if (stats.isSymbolicLink()) {
+                entry.crc = crc32(chunk);
+                entry.size = chunk.length;
+            }
+            entry.compressedSize += await emit(chunk);
+        }
+        if (!zip64 && (entry.size >= ZIP_MAX32 || entry.compressedSize >= ZIP_MAX32)) {
+            throw new FileError({
+                code: 'EIO',
+                message: "EIO, zip '" + path + "' changed while being archived",
+                path,
+                syscall: 'zip'
+            });
+        }
+        const patch = Buffer.alloc(zip64 ? 16 : 8);
+        if (zip64) {
+            patch.writeBigUInt64LE(BigInt(entry.size), 0);
+            patch.writeBigUInt64LE(BigInt(entry.compressedSize), 8);
+            await writeAt(fd, patch, 0, patch.length, entry.offset + 30 + nameBuffer.length + timeField.length + 4);
+        } else {
+            patch.writeUInt32LE(entry.compressedSize, 0);
+            patch.writeUInt32LE(entry.size, 4);
+            await writeAt(fd, patch, 0, patch.length, entry.offset + 18);
+        }
+        const crc = Buffer.alloc(4);
+        crc.writeUInt32LE(entry.crc, 0);
+        await writeAt(fd, crc, 0, crc.length, entry.offset + 14);
+        central.push(entry);
+    };
+    try {
+        for (let src of sources) {
+            let base = dirname(resolve(src));
+            for await (let { file, stats } of walkTree(walkOptions({ root: src, onError: rethrow }))) {
+                let path = resolve(file.path);
+                if (path === resolve(dst) || !(stats.isFile() || stats.isDirectory() || stats.isSymbolicLink())) {
+                    continue;
+                }
+                let name = relative(base, path).split(sep).join('/');
+                await add(path, stats.isDirectory() ? name + '/' : name, stats);
+            }
+        }
+        const directoryOffset = position;
+        for (let entry of central) {
+            await emit(zipCentralRecord(entry));
+        }
+        await emit(zipEndRecords(central.length, directoryOffset, position - directoryOffset));
+    } catch (ex) {
+        await promisify(close)(fd);
+        await promisify(unlink)(dst).catch(() => {});
+        throw ex;
+    }
+    await promisify(close)(fd);
+};
+
+export class ZipFile {
+
+    constructor({ path=null, parent=null }={}) {
+        if (path === null) {
+            throw new IllegalArgumentError({ argument: 'path' });
+        }
+        this.file = new File({ path, parent });
+        this.fd = null;
+        this.entries = [];
+    }
+
+    close(onClose=null) {
+        let fd = this.fd;
+        this.fd = null;
+        this.entries = [];
+        if (fd === null) {
+            return onClose === null ? SUCCESS : onClose(SUCCESS, null);
+        }
+        if (onClose === null) {
+            return File.closeFd({ src: fd, sync: true });
+        }
+        File.closeFd({ src: fd, onClose });
+    }
+
+    static create({ src=null, dst=null, method='deflate', level=null, onCreate=null }={}) {
+        const sources = (Array.isArray(src) ? src : [src]).map((source) => {
+            return source instanceof File ? source.path : source;
+        });
+        if (dst instanceof File) {
+            dst = dst.path;
+        }
+        if (src === null || sources.indexOf(null) !== -1 || dst === null) {
+            handleError(new IllegalArgumentError({ argument: dst === null ? 'dst' : 'src', syscall: 'zip' }), onCreate);
+        } else if (!Object.prototype.hasOwnProperty.call(ZIP_METHODS, method)) {
+            handleError(new IllegalArgumentError({
+                message: "EINVAL, zip unsupported method '" + method + "'",
+                syscall: 'zip'
+            }), onCreate);
+        } else {
+            createZip(sources, dst, ZIP_METHODS[method], level).then(
+                () => { handleSuccess(dst, onCreate); },
+                (err) => { handleError(err, onCreate); });
+        }
+    }
+
+    ensureOpen() {
+        if (!this.isOpen()) {
+            throw new FileNotOpenError({ path: this.file.path, syscall: 'read' });
+        }
+    }
+
+    extract(name, dst, onExtract=null) {
+        try {
+            this.ensureOpen();
+        } catch (ex) {
+            handleError(ex, onExtract);
+            return;
+        }
+        const entry = this.getEntry(name);
+        if (dst instanceof File) {
+            dst = dst.path;
+        }
+        if (entry === null) {
+            handleError(new FileNotFoundError({ path: name, syscall: 'unzip' }), onExtract);
+        } else if (dst === null || dst === undefined) {
+            handleError(new IllegalArgumentError({ argument: 'dst', syscall: 'unzip' }), onExtract);
+        } else {
+            // the entry lands at dst itself, so its directory bounds where a symlink may point
+            const target = resolve(dst);
+            archiveRoot(dirname(target))
+                .then((archive) => { return extractZipEntry(this, entry, target, archive); })
+                .then(
+                    () => { handleSuccess(dst, onExtract); },
+                    (err) => { handleError(err, onExtract); });
+        }
+    }
+
+    extractAll({ dst=null, strip=0, filter=null, onError=null, onExtract=null }={}) {
+        try {
+            this.ensureOpen();
+        } catch (ex) {
+            handleError(ex, onExtract);
+            return;
+        }
+        if (dst instanceof File) {
+            dst = dst.path;
+        }
+        if (dst === null) {
+            handleError(new IllegalArgumentError({ argument: 'dst', syscall: 'unzip' }), onExtract);
+        } else {
+            extractZip(this, resolve(dst), { strip, filter, onError }).then(
+                (extracted) => { handleSuccess(extracted, onExtract); },
+                (err) => { handleError(err, onExtract); });
+        }
+    }
+
+    getEntries() {
+        return this.entries.slice();
+    }
+
+    getEntry(name) {
+        return this.entries.find((entry) => { return entry.name === name; }) || null;
+    }
+
+    getFd() {
+        return this.fd;
+    }
+
+    isOpen() {
+        return this.fd !== null;
+    }
+
+    open(onOpen=null) {
+        if (this.isOpen()) {
+            return onOpen === null ? SUCCESS : onOpen(SUCCESS, this.getEntries());
+        }
+        const path = this.file.path;
+        if (onOpen === null) {
+            let fd = File.openFd({ src: path, flags: READ, sync: true });
+            if (fd === ERROR) {
+                return ERROR;
+            }
+            try {
+                this.entries = readStepsSync(fd, zipDirectory(path, fstatSync(fd).size));
+                this.fd = fd;
+                return SUCCESS;
+            } catch (ex) {
+                closeSync(fd);
+                handleError(ex);
+                return ERROR;
+            }
+        }
+        File.openFd({
+            src: path,
+            flags: READ,
+            onOpen: (code, fd) => {
+                if (code !== SUCCESS) {
+                    onOpen(code, fd);
+                    return;
+                }
+                const fail = (err) => { close(fd, () => { handleError(err, onOpen); }); };
+                fstat(fd, (err, stats) => {
+                    if (err) {
+                        fail(err);
+                        return;
+                    }
+                    readSteps(fd, zipDirectory(path, stats.size), (err, entries) => {
+                        if (err) {
+                            fail(err);
+                        } else {
+                            this.fd = fd;
+                            this.entries = entries;
+                            onOpen(SUCCESS, this.getEntries());
+                        }
+                    });
+                });
+            }
+        });
+    }
+
+}
+
+const atomicTemp = (src) => {
+    return join(dirname(src), '.' + basename(src) + '.' + process.pid + '.' +
+        Math.random().toString(36).slice(2) + '.tmp');
+};
+
+const syncDirSync = (dir) => {
+    let fd;
+    try {
+        fd = openSync(dir, READ);
+    } catch (ex) {
+        return;
+    }
+    try {
+        toChecked(() => { return File.sync({ fd, sync: true }); });
+    } finally {
+        closeSync(fd);
+    }
+};
+
+const syncDir = (dir, cb) => {
+    open(dir, READ, (err, fd) => {
+        if (err) {
+            cb(null);
+        } else {
+            File.sync({
+                fd,
+                onSync: (code, reason) => {
+                    close(fd, () => { cb(code === SUCCESS ? null : reason); });
+                }
+            });
+        }
+    });
+};
+
+const writeAtomicSync = (src, buffer, { encoding, mode }) => {
+    let stats = null;
+    try {
+        if (lstatSync(src).isSymbolicLink()) {
+            src = realpathSync(src);
+        }
+        stats = statSync(src);
+    } catch (ex) {
+        if (ex.code !== 'ENOENT') {
+            throw ex;
+        }
+    }
+    const tmp = atomicTemp(src);
+    const fileMode = stats !== null ? stats.mode & 0o7777 : mode;
+    const fd = toChecked(() => { return File.openFd({ src: tmp, flags: WRITE_EXCLUSIVE, mode: fileMode, sync: true }); });
+    try {
+        try {
+            writeFileSync(fd, buffer, { encoding });
+            toChecked(() => { return File.sync({ fd, sync: true }); });
+        } finally {
+            closeSync(fd);
+        }
+        if (stats !== null) {
+            toChecked(() => { return File.chmod({ src: tmp, mode: fileMode, sync: true }); });
+        }
+        toChecked(() => { return File.rename({ src: tmp, dst: src, sync: true }); });
+    } catch (ex) {
+        try {
+            unlinkSync(tmp);
+        } catch (e) {
+            // the temporary file was never created or is already gone
+        }
+        throw ex;
+    }
+    syncDirSync(dirname(src));
+};
+
+const writeAtomic = (src, buffer, { encoding, mode }, cb) => {
+    const write = (src, stats) => {
+        const tmp = atomicTemp(src);
+        const fileMode = stats !== null ? stats.mode & 0o7777 : mode;
+        const fail = (err) => { unlink(tmp, () => { cb(err); }); };
+        const rename = () => {
+            File.rename({
+                src: tmp,
+                dst: src,
+                onRename: (code, reason) => { code === SUCCESS ? syncDir(dirname(src), cb) : fail(reason); }
+            });
+        };
+        const restoreMode = () => {
+            stats === null ? rename() : File.chmod({
+                src: tmp,
+                mode: fileMode,
+                onAccess: (code, reason) => { code === SUCCESS ? rename() : fail(reason); }
+            });
+        };
+        File.openFd({
+            src: tmp,
+            flags: WRITE_EXCLUSIVE,
+            mode: fileMode,
+            onOpen: (code, fd) => {
+                if (code !== SUCCESS) {
+                    cb(fd);
+                } else {
+                    const done = (err) => { close(fd, (e) => { err || e ? fail(err || e) : restoreMode(); }); };
+                    writeFile(fd, buffer, { encoding }, (err) => {
+                        err ? done(err) : File.sync({
+                            fd,
+                            onSync: (code, reason) => { done(code === SUCCESS ? null : reason); }
+                        });
+                    });
+                }
+            }
+        });
+    };
+    lstat(src, (err) => {
+        if (err) {
+            err.code === 'ENOENT' ? write(src, null) : cb(err);
+        } else {
+            realpath(src, (err, target) => {
+                err ? cb(err) : stat(target, (err, stats) => { err ? cb(err) : write(target, stats); });
+            });
+        }
+    });
+};
+
+const DIGEST_CHUNK_SIZE = DEFAULT_BUFFER_SIZE * 8;
+
+const createHashes = (algorithm) => {
+    const algorithms = Array.isArray(algorithm) ? algorithm : [algorithm];
+    const supported = getHashes();
+    return algorithms.map((name) => {
+        if (supported.indexOf(name) === -1) {
+            throw new IllegalArgumentError({
+                message: "EINVAL, digest unsupported algorithm '" + name + "'",
+                syscall: 'digest'
+            });
+        }
+        return { name, hash: createHash(name) };
+    });
+};
+
+const digestOf = (algorithm, hashes, encoding) => {
+    if (!Array.isArray(algorithm)) {
+        return hashes[0].hash.digest(encoding);
+    }
+    const digests = {};
+    hashes.forEach(({ name, hash }) => { digests[name] = hash.digest(encoding); });
+    return digests;
+};
+
+const digestSync = (src, algorithm, encoding) => {
+    const hashes = createHashes(algorithm);
+    const buffer = Buffer.alloc(DIGEST_CHUNK_SIZE);
+    const fd = openSync(src, READ);
+    try {
+        let bytesRead;
+        while ((bytesRead = readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+            let chunk = buffer.subarray(0, bytesRead);
+            hashes.forEach(({ hash }) => { hash.update(chunk); });
+        }
+    } finally {
+        closeSync(fd);
+    }
+    return digestOf(algorithm, hashes, encoding);
+};
+
+const digestStream = (src, algorithm, encoding, cb) => {
+    let hashes;
+    try {
+        hashes = createHashes(algorithm);
+    } catch (ex) {
+        cb(ex);
+        return;
+    }
+    const stream = createReadStream(src, { highWaterMark: DIGEST_CHUNK_SIZE });
+    stream.on('data', (chunk) => { hashes.forEach(({ hash }) => { hash.update(chunk); }); });
+    stream.on('error', (err) => { cb(err); });
+    stream.on('end', () => { cb(null, digestOf(algorithm, hashes, encoding)); });
+};
+
+const sameDigest = (expected, actual, encoding) => {
+    if (typeof expected !== 'string') {
+        return false;
+    }
+    expected = expected.trim();
+    return encoding === 'hex' ? expected.toLowerCase() === actual : expected === actual;
+};
+
+const LOCKS = new Map();
+
+const sleepSync = (ms) => {
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+};
+
+const isAlive = (pid) => {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (ex) {
+        return ex.code === 'EPERM';
+    }
+};
+
+const readLock = (path) => {
+    let stats;
+    let owner = null;
+    try {
+        stats = lstatSync(path);
+        owner = JSON.parse(readFileSync(path, 'utf8'));
+    } catch (ex) {
+        if (ex.code === 'ENOENT') {
+            return null;
+        }
+    }
+    return stats ? { stats, owner } : null;
+};
+
+// holders on this host are judged by their pid alone: a live holder's lock never goes stale with age
+const isStaleLock = ({ stats, owner }, staleAfter) => {
+    if (owner !== null && owner.host === hostname()) {
+        return owner.pid !== process.pid && !isAlive(owner.pid);
+    }
+    return staleAfter > 0 && Date.now() - stats.mtime.getTime() > staleAfter;
+};
+
+const ownsLock = (path, token) => {
+    const current = readLock(path);
+    return current !== null && current.owner !== null && current.owner.token === token;
+};
+
+const removeStaleLock = (path, { stats }) => {
+    let current = readLock(path);
+    if (current !== null && current.stats.ino === stats.ino &&
+        current.stats.mtime.getTime() === stats.mtime.getTime()) {
+        try {
+            unlinkSync(path);
+        } catch (ex) {
+            if (ex.code !== 'ENOENT') {
+                throw ex;
+            }
+        }
+    }
+};
+
+const createLock = (path, exclusive, staleAfter, token) => {
+    const owner = { pid: process.pid, host: hostname(), exclusive, acquired: Date.now(), token };
+    for (let attempt = 0; attempt < 2; attempt++) {
+        try {
+            const fd = openSync(path, WRITE_CREATE_EXCLUSIVE);
+            try {
+                writeFileSync(fd, JSON.stringify(owner));
+            } finally {
+                closeSync(fd);
+            }
+            return null;
+        } catch (ex) {
+            if (ex.code !== 'EEXIST') {
+                throw ex;
+            }
+        }
+        let current = readLock(path);
+        if (current === null) {
+            continue;
+        }
+        if (!isStaleLock(current, staleAfter)) {
+            return current.owner || {};
+        }
+        removeStaleLock(path, current);
+    }
+    const current = readLock(path);
+    return current !== null && current.owner !== null ? current.owner : {};
+};
+
+const sharedLocks = (path, staleAfter) => {
+    const dir = dirname(path);
+    const prefix = basename(path) + '.lock.';
+    const owners = [];
+    readdirSync(dir).forEach((name) => {
+        if (name.indexOf(prefix) === 0 && extname(name) === '.shared') {
+            let lockPath = join(dir, name);
+            let current = readLock(lockPath);
+            if (current !== null) {
+                isStaleLock(current, staleAfter) ?
+                    removeStaleLock(lockPath, current) :
+                    owners.push(current.owner || {});
+            }
+        }
+    });
+    return owners;
+};
+
+// a reader holds the guard only while it adds its shared lock, so other readers wait for it briefly
+const GUARD_SPINS = 50;
+
+const GUARD_SPIN_DELAY = 2;
+
+const guardBusy = (owner, exclusive) => {
+    return owner !== null && !exclusive && owner.exclusive === false;
+};
+
+const holdLock = (path, exclusive, staleAfter, owner, token) => {
+    const guard = path + '.lock';
+    if (owner !== null) {
+        throw new LockError({ path, owner });
+    }
+    if (exclusive) {
+        let readers = sharedLocks(path, staleAfter);
+        if (readers.length > 0) {
+            unlinkSync(guard);
+            throw new LockError({ path, owner: readers[0] });
+        }
+        return guard;
+    }
+    const shared = path + '.lock.' + hostname() + '.' + process.pid + '.' +
+        Math.random().toString(36).slice(2) + '.shared';
+    try {
+        createLock(shared, false, 0, token);
+    } finally {
+        unlinkSync(guard);
+    }
+    return shared;
+};
+
+const acquireLockSync = (path, exclusive, staleAfter) => {
+    const guard = path + '.lock';
+    const token = randomBytes(8).toString('hex');
+    let owner = createLock(guard, exclusive, staleAfter, token);
+    for (let spin = 0; guardBusy(owner, exclusive) && spin < GUARD_SPINS; spin++) {
+        sleepSync(GUARD_SPIN_DELAY);
+        owner = createLock(guard, exclusive, staleAfter, token);
+    }
+    const lockFile = holdLock(path, exclusive, staleAfter, owner, token);
+    trackLock(lockFile, token, staleAfter);
+    return lockFile;
+};
+
+const acquireLock = (path, exclusive, staleAfter, cb) => {
+    const guard = path + '.lock';
+    const token = randomBytes(8).toString('hex');
+    const attempt = (spin) => {
+        let lockFile;
+        try {
+            let owner = createLock(guard, exclusive, staleAfter, token);
+            if (guardBusy(owner, exclusive) && spin < GUARD_SPINS) {
+                setTimeout(() => { attempt(spin + 1); }, GUARD_SPIN_DELAY);
+                return;
+            }
+            lockFile = holdLock(path, exclusive, staleAfter, owner, token);
+        } catch (ex) {
+            cb(ex);
+            return;
+        }
+        trackLock(lockFile, token, staleAfter);
+        cb(null, lockFile);
+    };
+    attempt(0);
+};
+
+const lockHeldError = (path) => {
+    return new LockError({
+        message: "ELOCKED, lock '" + path + "' is already held by this file",
+        path
+    });
+};
+
+const lockLostError = (path) => {
+    const current = readLock(path);
+    return new LockError({
+        message: "ELOCKED, lock '" + path + "' is no longer held by this file",
+        path,
+        owner: current !== null ? current.owner : null
+    });
+};
+
+const RELEASE_SIGNALS = ['SIGINT', 'SIGTERM'];
+
+const releaseLocks = () => {
+    LOCKS.forEach(({ token, refresh }, path) => {
+        clearInterval(refresh);
+        try {
+            if (ownsLock(path, token)) {
+                unlinkSync(path);
+            }
+        } catch (ex) {
+            // the lock was already removed
+        }
+    });
+    LOCKS.clear();
+};
+
+/*
+ Stands in for the default signal handler only: when the application listens
+ for the signal itself it decides whether to exit, and locks go on 'exit'.
+ */
+const releaseOnSignal = (signal) => {
+    if (process.listenerCount(signal) === 1) {
+        releaseLocks();
+        stopReleasing();
+        process.kill(process.pid, signal);
+    }
+};
+
+const stopReleasing = () => {
+    process.removeListener('exit', releaseLocks);
+    RELEASE_SIGNALS.forEach((signal) => { process.removeListener(signal, releaseOnSignal); });
+};
+
+// touches a held lock twice per staleAfter period so that other hosts never see it as stale
+const refreshLock = (path, token, staleAfter) => {
+    if (staleAfter <= 0) {
+        return null;
+    }
+    const refresh = setInterval(() => {
+        try {
+            if (ownsLock(path, token)) {
+                const now = new Date();
+                utimesSync(path, now, now);
+            }
+        } catch (ex) {
+            // the next tick tries again, and release reports a lost lock
+        }
+    }, Math.max(1, Math.floor(staleAfter / 2)));
+    refresh.unref();
+    return refresh;
+};
+
+const trackLock = (path, token, staleAfter) => {
+    if (LOCKS.size === 0) {
+        process.on('exit', releaseLocks);
+        RELEASE_SIGNALS.forEach((signal) => { process.on(signal, releaseOnSignal); });
+    }
+    LOCKS.set(path, { token, refresh: refreshLock(path, token, staleAfter) });
+};
+
+/*
+ Stops tracking the lock and returns whether this process still owns it, so
+ that release never removes a lock another process took over.
+ */
+const untrackLock = (path) => {
+    const held = LOCKS.get(path);
+    LOCKS.delete(path);
+    if (LOCKS.size === 0) {
+        stopReleasing();
+    }
+    if (held === undefined) {
+        return false;
+    }
+    clearInterval(held.refresh);
+    return ownsLock(path, held.token);
+};
+
+const WALK_ORDERS = ['pre', 'post', 'bfs'];
+
+const walkChildren = (entry, maxDepth, visited) => {
+    if (!entry.stats.isDirectory() || entry.depth >= maxDepth) {
+        return false;
+    }
+    const key = entry.stats.dev + ':' + entry.stats.ino;
+    if (visited.has(key)) {
+        return false;
+    }
+    visited.add(key);
+    return true;
+};
+
+/*
+ The traversal shared by walkTreeSync and walkTree. It yields the io it needs
+ as [op, arg, depth] requests, answered by the driver, and the entries to
+ hand out as ['emit', entry].
+ */
+function* walkSteps({ root, maxDepth, prune, filter, order }) {
+    const visited = new Set();
+    function* entry(path, depth) {
+        const stats = yield ['stat', path, depth];
+        return stats === null ? null : { file: new File({ path }), stats, depth };
+    }
+    function* children(parent) {
+        if (!walkChildren(parent, maxDepth, visited) || (prune !== null && (yield ['prune', parent]))) {
+            return [];
+        }
+        const result = [];
+        for (let name of (yield ['readdir', parent.file.path, parent.depth]) || []) {
+            let child = yield* entry(join(parent.file.path, name), parent.depth + 1);
+            if (child !== null) {
+                result.push(child);
             }
-            util.arraycopy(this.buf, this.pos, b, off, len);
-            this.pos += len;
-            return len;
         }
-        return (this.pos < this.count) ? (this.buf[this.pos++] & 0xff) : -1;
+        return result;
     }
-
-    reset() {
-        this.pos = this.markPos;
+    function* emit(e) {
+        if (filter === null || (yield ['filter', e])) {
+            yield ['emit', e];
+        }
     }
-
-    skip(n) {
-        if (this.pos + n > this.count) {
-            n = this.count - this.pos;
+    function* depthFirst(e) {
+        if (order === 'pre') {
+            yield* emit(e);
         }
-        if (n < 0) {
-            return 0;
+        for (let child of yield* children(e)) {
+            yield* depthFirst(child);
+        }
+        if (order === 'post') {
+            yield* emit(e);
         }
-        this.pos += n;
-        return n;
     }
-
+    const start = yield* entry(root, 0);
+    if (order === 'bfs') {
+        const queue = [start];
+        while (queue.length > 0) {
+            let e = queue.shift();
+            yield* emit(e);
+            queue.push(...yield* children(e));
+        }
+    } else {
+        yield* depthFirst(start);
+    }
 }
 
 /*
- S_IFMT     0170000   bitmask for the file type bitfields
- S_IFSOCK   0140000   socket
- S_IFLNK    0120000   symbolic link
- S_IFREG    0100000   regular file
- S_IFBLK    0060000   block device
- S_IFDIR    0040000   directory
- S_IFCHR    0020000   character device
- S_IFIFO    0010000   fifo
- S_ISUID    0004000   set UID bit
- S_ISGID    0002000   set GID bit (see below)
- S_ISVTX    0001000   sticky bit (see below)
- S_IRWXU      00700   mask for file owner permissions
- S_IRUSR      00400   owner has read permission
- S_IWUSR      00200   owner has write permission
- S_IXUSR      00100   owner has execute permission
- S_IRWXG      00070   mask for group permissions
- S_IRGRP      00040   group has read permission
- S_IWGRP      00020   group has write permission
- S_IXGRP      00010   group has execute permission
- S_IRWXO      00007   mask for permissions for others (not in group)
- S_IROTH      00004   others have read permission
- S_IWOTH      00002   others have write permisson
- S_IXOTH      00001   others have execute permissio
+ A failing stat or readdir below the root is reported to onError and the
+ entry skipped; anything else, including a missing root, ends the walk.
  */
-
-export const READ = 'r';
-export const READ_WRITE = 'r+';
-export const READ_SYNC = 'rs';
-export const READ_WRITE_SYNC = 'rs+';
-export const WRITE = 'w';
-export const WRITE_EXCLUSIVE = 'wx';
-export const WRITE_CREATE = 'w+';
-export const WRITE_CREATE_EXCLUSIVE = 'wx+';
-export const APPEND = 'a';
-export const APPEND_EXCLUSIVE = 'ax';
-export const APPEND_READ = 'a+';
-export const APPEND_READ_EXCLUSIVE = 'ax+';
-
-export const SUCCESS = 0x1;
-export const ERROR = 0x0;
-export const FILE = 0x3;
-export const DIR = 0x4;
-
-const handleError = (ex=null, cb=null) => {
-    if (cb !== null) {
-        cb(ERROR, ex);
-    }  else {
-        EX = ex;
+const walkFailure = (ex, [op, , depth], onError) => {
+    const err = toFileError(ex);
+    if ((op !== 'stat' && op !== 'readdir') || (op === 'stat' && depth === 0)) {
+        throw err;
     }
-};
-
-const handleSuccess = (result=null, cb=null) => {
-    if (cb === null) {
-        return result;
+    if (onError !== null) {
+        onError(err);
     }
-    cb(SUCCESS, result);
     return null;
 };
 
-export class FilenameFilter extends EventEmitter {
+const walkStepSync = ([op, arg], { followSymlinks, prune, filter }) => {
+    switch (op) {
+        case 'stat':
+            return (followSymlinks ? statSync : lstatSync)(arg);
+        case 'readdir':
+            return readdirSync(arg);
+        case 'prune':
+            return prune(arg.file, arg.stats, arg.depth);
+        default:
+            return filter(arg.file, arg.stats, arg.depth);
+    }
+};
 
-    constructor({ file, accept = null } = {}) {
-        super();
-        if (file === null) {
-            throw new ReferenceError('FileNotFoundException');
-        }
-        this.file = file;
-        if (accept !== null) {
-            this.accept = accept;
-        }
+const walkStep = async ([op, arg], { followSymlinks, prune, filter }) => {
+    switch (op) {
+        case 'stat':
+            return promisify(followSymlinks ? stat : lstat)(arg);
+        case 'readdir':
+            return promisify(readdir)(arg);
+        case 'prune':
+            return prune(arg.file, arg.stats, arg.depth);
+        default:
+            return filter(arg.file, arg.stats, arg.depth);
     }
+};
 
-    filter(sync=false) {
-        if (!sync) {
-            let result = this.file.list((dir, name) => { return this.accept(dir, name); });
-            result === ERROR ?
-                this.emit('filter', result, File.exception()) :
-                this.emit('filter', SUCCESS, result);
+function* walkTreeSync(options) {
+    const steps = walkSteps(options);
+    let step = steps.next();
+    while (!step.done) {
+        let result;
+        if (step.value[0] === 'emit') {
+            yield step.value[1];
         } else {
-            this.file.list(
-                (dir, name) => { return this.accept(dir, name); },
-                (code, result) => { this.emit('filter', code, result); });
+            try {
+                result = walkStepSync(step.value, options);
+            } catch (ex) {
+                result = walkFailure(ex, step.value, options.onError);
+            }
         }
+        step = steps.next(result);
     }
+}
 
-    filterFiles(sync=false) {
-        if (!sync) {
-            let result = this.file.listFiles((dir, name) => { return this.accept(dir, name); });
-            result === ERROR ?
-                this.emit('filter', result, File.exception()) :
-                this.emit('filter', SUCCESS, result);
+async function* walkTree(options) {
+    const steps = walkSteps(options);
+    let step = steps.next();
+    while (!step.done) {
+        let result;
+        if (step.value[0] === 'emit') {
+            yield step.value[1];
         } else {
-            this.file.listFiles(
-                (dir, name) => { return this.accept(dir, name); },
-                (code, result) => { this.emit('filter', code, result); });
+            try {
+                result = await walkStep(step.value, options);
+            } catch (ex) {
+                result = walkFailure(ex, step.value, options.onError);
+            }
         }
+        step = steps.next(result);
     }
+}
 
-    accept(dir, name) {
+const rethrow = (err) => {
+    throw err;
+};
 
+const walkOptions = ({
+    root=null,
+    maxDepth=Infinity,
+    followSymlinks=false,
+    prune=null,
+    filter=null,
+    order='pre',
+    onError=null }={}) => {
+    if (root instanceof File) {
+        root = root.path;
     }
+    if (root === null) {
+        throw new IllegalArgumentError({ argument: 'root', syscall: 'walk' });
+    }
+    if (WALK_ORDERS.indexOf(order) === -1) {
+        throw new IllegalArgumentError({
+            message: "EINVAL, walk unknown order '" + order + "'",
+            syscall: 'walk'
+        });
+    }
+    return { root, maxDepth, followSymlinks, prune, filter, order, onError };
+};
 
-}
+const globOptions = (pattern, { cwd=process.cwd(), dot=false, ignore=[], followSymlinks=false }={}) => {
+    if (pattern === null || pattern === undefined) {
+        throw new IllegalArgumentError({ argument: 'pattern', syscall: 'glob' });
+    }
+    if (cwd instanceof File) {
+        cwd = cwd.path;
+    }
+    if (sep !== '/') {
+        pattern = pattern.split(sep).join('/');
+    }
+    if (isAbsolute(pattern)) {
+        let root = parse(pattern).root;
+        cwd = root;
+        pattern = pattern.slice(root.length).split(sep).join('/');
+    }
+    // match against absolute paths so a relative cwd works, but keep the
+    // yielded paths in the form the caller gave
+    const filter = new GlobFilter({ file: new File({ path: resolve(cwd) }), pattern, dot, ignore });
+    const base = globBase(pattern);
+    const depth = globDepth(pattern);
+    return walkOptions({
+        root: join(cwd, base),
+        maxDepth: depth - (base === '' ? 0 : base.split('/').length),
+        followSymlinks,
+        filter: (file) => { return filter.matches(resolve(file.path)); }
+    });
+};
 
-let EX = null;
+/*
+ Replays watcher events the way fs.watch reported them before File#watch
+ moved to FileWatcher: onAccess('rename' | 'change', filename), the name
+ relative to the watched directory in the requested encoding.
+ */
+const legacyWatchListener = (root, encoding, onAccess) => {
+    const filename = (path) => {
+        let name = Buffer.from(relative(root, path) || basename(path));
+        return encoding === 'buffer' ? name : name.toString(encoding);
+    };
+    return (event, path, stats, from) => {
+        if (event === 'rename') {
+            onAccess('rename', filename(from));
+        }
+        onAccess(event === 'change' ? 'change' : 'rename', filename(path));
+    };
+};
 
 export class File {
 
@@ -317,13 +4705,13 @@ export class File {
 
     alias(dst, onAccess=null) {
         if (onAccess === null) {
-            return File.linkSync({
+            return File.link({
                 src: this.path,
                 dst,
                 sync: true
             });
         }
-        File.linkSync({
+        File.link({
             src: this.path,
             dst,
             onAccess
@@ -336,7 +4724,7 @@ export class File {
         onExists=null,
         sync=false }={}) {
         if (src === null) {
-            handleError(new ReferenceError('SourceNotFoundException'), onExists);
+            handleError(new IllegalArgumentError({ argument: 'src', syscall: 'access' }), onExists);
         } else {
             if (sync) {
                 let code = SUCCESS;
@@ -365,7 +4753,7 @@ export class File {
         onData=null,
         sync=false } = {}) {
         if (src === null) {
-            handleError(new ReferenceError('FileNotFoundException'), onData);
+            handleError(new IllegalArgumentError({ argument: 'src', syscall: 'appendFile' }), onData);
         } else {
             if (sync) {
                 let code = SUCCESS;
@@ -378,7 +4766,7 @@ export class File {
                     return code;
                 }
             } else {
-                appendFile(src, { encoding, mode, flag }, (err) => {
+                appendFile(src, data, { encoding, mode, flag }, (err) => {
                     err ? handleError(err, onData) : handleSuccess(null, onData);
                 });
             }
@@ -430,9 +4818,17 @@ export class File {
         });
     }
 
+    static get checked() {
+        return STATIC_CHECKED;
+    }
+
+    get checked() {
+        return new FileChecked(this);
+    }
+
     static chmod({ src=null, mode=0, onAccess=null, sync=false }={}) {
         if (src === null) {
-            handleError(new ReferenceError('FileNotFoundException'), onAccess);
+            handleError(new IllegalArgumentError({ argument: 'src', syscall: 'chmod' }), onAccess);
         } else {
             if (sync) {
                 let code = SUCCESS;
@@ -445,7 +4841,27 @@ export class File {
                     return code;
                 }
             } else {
-                chmod(src, mode, (err) => { err ? handleError(err) : handleSuccess(null, onAccess); });
+                chmod(src, mode, (err) => { err ? handleError(err, onAccess) : handleSuccess(null, onAccess); });
+            }
+        }
+    }
+
+    static chown({ src=null, uid=-1, gid=-1, onAccess=null, sync=false }={}) {
+        if (src === null) {
+            handleError(new IllegalArgumentError({ argument: 'src', syscall: 'chown' }), onAccess);
+        } else {
+            if (sync) {
+                let code = SUCCESS;
+                try {
+                    chownSync(src, uid, gid);
+                } catch (ex) {
+                    code = ERROR;
+                    handleError(ex, onAccess);
+                } finally {
+                    return code;
+                }
+            } else {
+                chown(src, uid, gid, (err) => { err ? handleError(err, onAccess) : handleSuccess(null, onAccess); });
             }
         }
     }
@@ -458,13 +4874,9 @@ export class File {
                     sync: true
                 });
                 this.fd = 0;
-                if (code !== ERROR) {
-                    return code;
-                } else {
-                    EX = EX || new ReferenceError('FileExistException');
-                }
+                return code;
             } else {
-                EX = new ReferenceError('FileNotOpenedException');
+                handleError(new FileNotOpenError({ path: this.path, syscall: 'close' }));
             }
             return ERROR;
         }
@@ -477,13 +4889,13 @@ export class File {
                 }
             });
         } else  {
-            onClose(ERROR, new ReferenceError('FileNotOpenedException'));
+            onClose(ERROR, new FileNotOpenError({ path: this.path, syscall: 'close' }));
         }
     }
 
     static closeFd({ src=null, onClose=null, sync=false }={}) {
         if (src === null) {
-            handleError(new ReferenceError('FileNotFoundException'), onClose);
+            handleError(new IllegalArgumentError({ argument: 'src', syscall: 'closeFd' }), onClose);
         } else {
             if (sync) {
                 let code = SUCCESS;
@@ -496,20 +4908,119 @@ export class File {
                     return code;
                 }
             } else {
-                close(src, (err) => { err ? handleError(err) : handleSuccess(null, onClose); });
+                close(src, (err) => { err ? handleError(err, onClose) : handleSuccess(null, onClose); });
             }
         }
     }
 
+    compress({ format='gzip', level=null, dst=null, onCompress=null }={}) {
+        const compression = COMPRESSIONS[format];
+        if (compression === undefined) {
+            handleError(new IllegalArgumentError({
+                message: "EINVAL, compress unsupported format '" + format + "'",
+                syscall: 'compress'
+            }), onCompress);
+            return;
+        }
+        if (dst instanceof File) {
+            dst = dst.path;
+        }
+        dst = dst || this.path + compression.extensions[0];
+        this.getInputStream({
+            encoding: null,
+            onAccess: (code, input) => {
+                if (code !== SUCCESS) {
+                    handleError(input, onCompress);
+                    return;
+                }
+                new File({ path: dst }).getOutputStream({
+                    onAccess: (code, output) => {
+                        if (code !== SUCCESS) {
+                            input.destroy();
+                            handleError(output, onCompress);
+                            return;
+                        }
+                        pipeline(input, compression.compress(level), output, (err) => {
+                            if (err) {
+                                unlink(dst, () => { handleError(err, onCompress); });
+                            } else {
+                                handleSuccess(dst, onCompress);
+                            }
+                        });
+                    }
+                });
+            }
+        });
+    }
+
+    static copy({
+        src=null,
+        dst=null,
+        recursive=false,
+        overwrite=false,
+        preserveMode=true,
+        preserveTimes=true,
+        followSymlinks=false,
+        onCopy=null,
+        sync=false }={}) {
+        if (src instanceof File) {
+            src = src.path;
+        }
+        if (dst instanceof File) {
+            dst = dst.path;
+        }
+        if (src === null || dst === null) {
+            handleError(new IllegalArgumentError({
+                argument: src === null ? 'src' : 'dst',
+                syscall: 'copy'
+            }), onCopy);
+        } else if ((resolve(dst) + sep).indexOf(resolve(src) + sep) === 0) {
+            handleError(new IllegalArgumentError({
+                message: "EINVAL, cannot copy '" + src + "' into itself '" + dst + "'",
+                path: src,
+                dest: dst,
+                syscall: 'copy'
+            }), onCopy);
+        } else {
+            const options = { recursive, overwrite, preserveMode, preserveTimes, followSymlinks };
+            if (sync) {
+                let code = SUCCESS;
+                try {
+                    copyTreeSync(src, dst, options);
+                } catch (ex) {
+                    code = ERROR;
+                    handleError(ex, onCopy);
+                } finally {
+                    return code;
+                }
+            } else {
+                copyTree(src, dst, options, (err) => {
+                    err ? handleError(err, onCopy) : handleSuccess(null, onCopy);
+                });
+            }
+        }
+    }
+
+    copyTo(dst, onAccess=null, options={}) {
+        if (dst instanceof File) {
+            dst = dst.path;
+        }
+        options = Object.assign({ recursive: true }, options, { src: this.path, dst });
+        if (onAccess === null) {
+            return File.copy(Object.assign(options, { sync: true }));
+        }
+        File.copy(Object.assign(options, { onCopy: onAccess }));
+    }
+
     createDir(onAccess=null) {
         if (onAccess === null) {
-            if (this.exists() === ERROR) {
+            if (probe(() => this.exists()) === ERROR) {
                 return File.mkdir({
                     src: this.path,
                     sync: true
                 });
             } else {
-                EX = EX || new ReferenceError('FileExistException');
+                handleError(new FileExistsError({ path: this.path, syscall: 'mkdir' }));
             }
             return ERROR;
         }
@@ -520,21 +5031,21 @@ export class File {
                     onCreate: (code, reason) => { onAccess(code, reason); }
                 });
             } else {
-                onAccess(ERROR, reason || new ReferenceError('FileExistException'));
+                onAccess(ERROR, new FileExistsError({ path: this.path, syscall: 'mkdir' }));
             }
         });
     }
 
     createDirs(onAccess=null) {
         if (onAccess === null) {
-            let code = this.exists();
-            if (code !== ERROR) {
+            let code = probe(() => this.exists());
+            if (code === ERROR) {
                 return File.mkdirs({
                     src: this.path,
                     sync: true
                 });
             } else {
-                EX = EX || new ReferenceError('FileExistException');
+                handleError(new FileExistsError({ path: this.path, syscall: 'mkdir' }));
             }
             return ERROR;
         }
@@ -545,7 +5056,7 @@ export class File {
                     onCreate: (code, reason) => { onAccess(code, reason); }
                 });
             } else {
-                onAccess(ERROR, reason || new ReferenceError('FileExistException'));
+                onAccess(ERROR, new FileExistsError({ path: this.path, syscall: 'mkdir' }));
             }
         });
     }
@@ -553,9 +5064,9 @@ export class File {
     createDirTmp(onAccess=null, appendSep=false) {
         let src = !appendSep ? this.path : (this.path + sep);
         if (onAccess === null) {
-            if (this.exists() === ERROR) {
+            if (probe(() => this.exists()) === ERROR) {
                 let folder = File.createTempDir({
-                    src,
+                    prefix: src,
                     sync: true
                 });
                 if (folder !== ERROR) {
@@ -563,15 +5074,15 @@ export class File {
                 }
                 return folder;
             } else {
-                EX = EX || new ReferenceError('FileExistException');
+                handleError(new FileExistsError({ path: this.path, syscall: 'mkdtemp' }));
             }
             return ERROR;
         }
         this.exists((code, reason) => {
             if (code === ERROR) {
                 File.createTempDir({
-                    src,
-                    onCreate: (code, reason) => {
+                    prefix: src,
+                    onAccess: (code, reason) => {
                         if (code !== ERROR) {
                             this.setup({ path: reason });
                         }
@@ -579,14 +5090,14 @@ export class File {
                     }
                 });
             } else {
-                onAccess(ERROR, reason || new ReferenceError('FileExistException'));
+                onAccess(ERROR, new FileExistsError({ path: this.path, syscall: 'mkdtemp' }));
             }
         });
     }
 
     createFile(onAccess=null) {
         if (onAccess === null) {
-            let code = this.exists();
+            let code = probe(() => this.exists());
             if (code === ERROR) {
                 code = File.openFd({
                     src: this.path,
@@ -598,11 +5109,9 @@ export class File {
                         src: code,
                         sync: true
                     });
-                } else {
-                    EX = EX || new ReferenceError('FileExistException');
                 }
             } else {
-                EX = EX || new ReferenceError('FileExistException');
+                handleError(new FileExistsError({ path: this.path, syscall: 'open' }));
             }
             return ERROR;
         }
@@ -623,11 +5132,28 @@ export class File {
                     }
                 });
             } else {
-                onAccess(ERROR, reason || new ReferenceError('FileExistException'));
+                onAccess(ERROR, new FileExistsError({ path: this.path, syscall: 'open' }));
             }
         });
     }
 
+    createSymlink(target, onAccess=null, { type=null }={}) {
+        if (onAccess === null) {
+            return File.symlink({
+                src: target,
+                dst: this.path,
+                type,
+                sync: true
+            });
+        }
+        File.symlink({
+            src: target,
+            dst: this.path,
+            type,
+            onAccess
+        });
+    }
+
     static createTempDir({
         prefix=null,
         options={ encoding:'utf8' },
@@ -635,39 +5161,100 @@ export class File {
         sync=false
     }={}) {
         if (prefix === null) {
-            handleError(new ReferenceError('PrefixNotFoundException'), onAccess);
+            handleError(new IllegalArgumentError({ argument: 'prefix', syscall: 'createTempDir' }), onAccess);
         } else {
             if (sync) {
+                let folder;
                 let code = SUCCESS;
                 try {
-                    mkdtempSync(src, prefix, options);
+                    folder = mkdtempSync(prefix, options);
                 } catch (ex) {
                     code = ERROR;
                     handleError(ex, onAccess);
                 } finally {
-                    return code;
+                    return code !== ERROR ? folder : ERROR;
                 }
             } else {
-                mkdtemp(src, prefix, { encoding }, (err) => { err ?
-                    handleError(err) : handleSuccess(null, onAccess); });
+                mkdtemp(prefix, options, (err, folder) => { err ?
+                    handleError(err, onAccess) : handleSuccess(folder, onAccess); });
             }
         }
     }
 
     static dataSync({ fd=null, onDataSync=null, sync=false }={}) {
         if (fd === null) {
-            handleError(new ReferenceError('FdNotFoundException'), onDataSync);
+            handleError(new IllegalArgumentError({ argument: 'fd', syscall: 'dataSync' }), onDataSync);
         } else {
             if (sync) {
+                let code = SUCCESS;
                 try {
                     fdatasyncSync(fd);
                 } catch (ex) {
+                    code = ERROR;
                     handleError(ex, onDataSync);
+                } finally {
+                    return code;
                 }
             } else {
-                fdatasync(fd, (err) => { err ? handleError(err) : handleSuccess(null, onDataSync); });
+                fdatasync(fd, (err) => { err ? handleError(err, onDataSync) : handleSuccess(null, onDataSync); });
+            }
+        }
+    }
+
+    decompress({ dst=null, format=null, onDecompress=null }={}) {
+        if (format === null) {
+            try {
+                format = compressionOf(this.path, readHead(this.path));
+            } catch (ex) {
+                handleError(ex, onDecompress);
+                return;
+            }
+        }
+        const compression = COMPRESSIONS[format];
+        if (compression === undefined) {
+            handleError(new IllegalArgumentError({
+                message: "EINVAL, decompress unsupported format of '" + this.path + "'",
+                path: this.path,
+                syscall: 'decompress'
+            }), onDecompress);
+            return;
+        }
+        if (dst instanceof File) {
+            dst = dst.path;
+        }
+        if (dst === null) {
+            let extension = extname(this.path).toLowerCase();
+            if (compression.extensions.indexOf(extension) === -1) {
+                handleError(new IllegalArgumentError({ argument: 'dst', syscall: 'decompress' }), onDecompress);
+                return;
             }
+            dst = this.path.slice(0, -extension.length) + (extension === '.tgz' ? '.tar' : '');
         }
+        this.getInputStream({
+            encoding: null,
+            onAccess: (code, input) => {
+                if (code !== SUCCESS) {
+                    handleError(input, onDecompress);
+                    return;
+                }
+                new File({ path: dst }).getOutputStream({
+                    onAccess: (code, output) => {
+                        if (code !== SUCCESS) {
+                            input.destroy();
+                            handleError(output, onDecompress);
+                            return;
+                        }
+                        pipeline(input, compression.decompress(), output, (err) => {
+                            if (err) {
+                                unlink(dst, () => { handleError(err, onDecompress); });
+                            } else {
+                                handleSuccess(dst, onDecompress);
+                            }
+                        });
+                    }
+                });
+            }
+        });
     }
 
     deleteOnExit() {
@@ -721,16 +5308,17 @@ export class File {
         });
     }
 
-    destroyDir(onAccess=null) {
+    destroyDir(onAccess=null, { root=null }={}) {
         if (onAccess === null) {
             return File.rimraf({
                 src: this.path,
-                onExists: onAccess,
+                root,
                 sync: true
             });
         }
         File.rimraf({
             src: this.path,
+            root,
             onRemove: onAccess
         });
     }
@@ -744,14 +5332,124 @@ export class File {
                 sync: true
             });
         }
-        File.removeFileOrDir({
-            src: this.path,
-            mode: FILE,
-            onRemove: onAccess
-        });
+        File.removeFileOrDir({
+            src: this.path,
+            mode: FILE,
+            onRemove: onAccess
+        });
+    }
+
+    static diffTrees(a=null, b=null, { compare='mtime', onDiff=null, sync=false }={}) {
+        if (a instanceof File) {
+            a = a.path;
+        }
+        if (b instanceof File) {
+            b = b.path;
+        }
+        if (a === null || b === null) {
+            handleError(new IllegalArgumentError({ argument: a === null ? 'a' : 'b', syscall: 'diff' }), onDiff);
+        } else if (TREE_COMPARES.indexOf(compare) === -1) {
+            handleError(new IllegalArgumentError({
+                message: "EINVAL, diff unsupported compare '" + compare + "'",
+                syscall: 'diff'
+            }), onDiff);
+        } else {
+            const result = ({ added, removed, modified, typeChanged }) => {
+                return { added, removed, modified, typeChanged };
+            };
+            if (sync) {
+                let diff;
+                let code = SUCCESS;
+                try {
+                    diff = result(diffTreesSync(a, b, compare));
+                } catch (ex) {
+                    code = ERROR;
+                    handleError(ex, onDiff);
+                } finally {
+                    return code !== ERROR ? diff : ERROR;
+                }
+            } else {
+                diffTrees(a, b, compare).then(
+                    (diff) => { handleSuccess(result(diff), onDiff); },
+                    (err) => { handleError(err, onDiff); });
+            }
+        }
+    }
+
+    static digest({ src=null, algorithm='sha256', encoding='hex', onDigest=null, sync=false }={}) {
+        if (src === null) {
+            handleError(new IllegalArgumentError({ argument: 'src', syscall: 'digest' }), onDigest);
+        } else {
+            if (sync) {
+                let digest;
+                let code = SUCCESS;
+                try {
+                    digest = digestSync(src, algorithm, encoding);
+                } catch (ex) {
+                    code = ERROR;
+                    handleError(ex, onDigest);
+                } finally {
+                    return code !== ERROR ? digest : ERROR;
+                }
+            } else {
+                digestStream(src, algorithm, encoding, (err, digest) => { err ?
+                    handleError(err, onDigest) : handleSuccess(digest, onDigest); });
+            }
+        }
+    }
+
+    digest({ algorithm='sha256', encoding='hex', onDigest=null }={}) {
+        if (onDigest === null) {
+            return File.digest({ src: this.path, algorithm, encoding, sync: true });
+        }
+        File.digest({ src: this.path, algorithm, encoding, onDigest });
+    }
+
+    static diskUsage({
+        src=null,
+        apparent=false,
+        followSymlinks=false,
+        maxDepth=0,
+        onUsage=null,
+        sync=false }={}) {
+        if (src === null) {
+            handleError(new IllegalArgumentError({ argument: 'src', syscall: 'du' }), onUsage);
+        } else {
+            const options = { apparent, followSymlinks, maxDepth };
+            if (sync) {
+                let usage;
+                let code = SUCCESS;
+                try {
+                    usage = finishUsage(diskUsageSync(src, options), options);
+                } catch (ex) {
+                    code = ERROR;
+                    handleError(ex, onUsage);
+                } finally {
+                    return code !== ERROR ? usage : ERROR;
+                }
+            } else {
+                diskUsage(src, options).then(
+                    (node) => { handleSuccess(finishUsage(node, options), onUsage); },
+                    (err) => { handleError(err, onUsage); });
+            }
+        }
+    }
+
+    diskUsage({ apparent=false, followSymlinks=false, maxDepth=0, onUsage=null }={}) {
+        const options = { src: this.path, apparent, followSymlinks, maxDepth };
+        if (onUsage === null) {
+            return File.diskUsage(Object.assign(options, { sync: true }));
+        }
+        File.diskUsage(Object.assign(options, { onUsage }));
     }
 
+    /*
+     Deprecated: the last error of any synchronous call, shared by the whole
+     module. Use the checked or promises facades, or the error passed to the
+     callback, instead.
+     */
     static exception() {
+        deprecate('exception', 'File.exception() is deprecated, use File.checked or File.promises instead');
         return EX;
     }
 
@@ -788,7 +5486,7 @@ export class File {
         onAccess=null,
         sync=false }={}) {
         if (src === null) {
-            handleError(new ReferenceError('SourceNotFoundException'), onCreate);
+            handleError(new IllegalArgumentError({ argument: 'src', syscall: 'execFile' }), onAccess);
         } else {
             if (sync) {
                 let stdout;
@@ -804,7 +5502,7 @@ export class File {
             } else {
                 execFile(src, args, options, (err, stdout, stderr) => {
                     if (err) {
-                        handleError(err)
+                        handleError(err, onAccess);
                     } else {
                         handleSuccess({ stdout, stderr }, onAccess);
                     }
@@ -826,18 +5524,42 @@ export class File {
         });
     }
 
+    static fchown({ fd=null, uid=-1, gid=-1, onAccess=null, sync=false }={}) {
+        if (fd === null) {
+            handleError(new IllegalArgumentError({ argument: 'fd', syscall: 'fchown' }), onAccess);
+        } else {
+            if (sync) {
+                let code = SUCCESS;
+                try {
+                    fchownSync(fd, uid, gid);
+                } catch (ex) {
+                    code = ERROR;
+                    handleError(ex, onAccess);
+                } finally {
+                    return code;
+                }
+            } else {
+                fchown(fd, uid, gid, (err) => { err ? handleError(err, onAccess) : handleSuccess(null, onAccess); });
+            }
+        }
+    }
+
     static futimes({ fd=null, atime=0, mtime=0, onFutimes=null, sync=false }={}) {
         if (fd === null) {
-            handleError(new ReferenceError('FdNotFoundException'), onFutimes);
+            handleError(new IllegalArgumentError({ argument: 'fd', syscall: 'futimes' }), onFutimes);
         } else {
             if (sync) {
+                let code = SUCCESS;
                 try {
                     futimesSync(fd, atime, mtime);
                 } catch (ex) {
+                    code = ERROR;
                     handleError(ex, onFutimes);
+                } finally {
+                    return code;
                 }
             } else {
-                futimes(fd, atime, mtime, (err) => { err ? handleError(err) : handleSuccess(null, onFutimes); });
+                futimes(fd, atime, mtime, (err) => { err ? handleError(err, onFutimes) : handleSuccess(null, onFutimes); });
             }
         }
     }
@@ -860,15 +5582,17 @@ export class File {
         return IS_WIN ? this.path.replace(/\\/g, '/') : this.path;
     }
 
-    getContent(onAccess=null) {
+    getContent(onAccess=null, { decompress=false }={}) {
         if (onAccess === null) {
             let code = this.isFile();
             if (code !== ERROR) {
-                return File.readFileOrDir({
+                let data = File.readFileOrDir({
                     src: this.path,
                     mode: FILE,
+                    options: { encoding: decompress ? null : 'utf8' },
                     sync: true
                 });
+                return decompress && data !== ERROR ? inflateContentSync(this.path, data) : data;
             }
             return code;
         }
@@ -877,7 +5601,9 @@ export class File {
                 File.readFileOrDir({
                     src: this.path,
                     mode: FILE,
-                    onRead: onAccess
+                    onRead: !decompress ? onAccess : (code, data) => {
+                        code === SUCCESS ? inflateContent(this.path, data, onAccess) : onAccess(code, data);
+                    }
                 });
             } else {
                 onAccess(code, reason);
@@ -885,6 +5611,24 @@ export class File {
         });
     }
 
+    getAttributes(onAccess=null) {
+        if (onAccess === null) {
+            let code = SUCCESS;
+            let attributes = null;
+            try {
+                attributes = readAttributesSync(this.path);
+            } catch (ex) {
+                code = ERROR;
+                handleError(ex);
+            } finally {
+                return code !== ERROR ? attributes : ERROR;
+            }
+        }
+        readAttributes(this.path).then(
+            (attributes) => { handleSuccess(attributes, onAccess); },
+            (err) => { handleError(err, onAccess); });
+    }
+
     getExtension() {
         return extname(this.path);
     }
@@ -955,19 +5699,50 @@ export class File {
         return basename(this.path);
     }
 
-    getOutputStream({ encoding='utf8', mode=0o666, autoClose=true, onAccess=null }={}) {
+    getOwner(onAccess=null) {
         if (onAccess === null) {
-            let code = this.isFile();
-            if (code !== ERROR) {
-                return createReadStream({ flags: 'r', defaultEncoding : encoding, mode, autoClose });
+            let stats = File.stat({
+                src: this.path,
+                sync: true
+            });
+            return stats !== ERROR ? ownerOf(stats, readAccountsSync('user'), readAccountsSync('group')) : stats;
+        }
+        File.stat({
+            src: this.path,
+            onStat: (status, stats) => {
+                if (status !== SUCCESS) {
+                    onAccess(status, stats);
+                    return;
+                }
+                Promise.all([readAccounts('user'), readAccounts('group')]).then(([users, groups]) => {
+                    // outside the promise chain, so a throwing onAccess is not an unhandled rejection
+                    process.nextTick(() => { onAccess(SUCCESS, ownerOf(stats, users, groups)); });
+                });
             }
-            return code;
+        });
+    }
+
+    getOutputStream({
+        start=-1, encoding='utf8', mode=0o666, flags=null, autoClose=true, onAccess=null }={}) {
+        if (flags === null) {
+            // writing at an offset patches the file in place, 'w' would truncate it first
+            flags = start !== -1 ? READ_WRITE : WRITE;
         }
-        this.isFile((code, reason) => {
-            if (code === SUCCESS) {
-                onAccess(code, createReadStream({ flags: 'r', defaultEncoding : encoding, mode, autoClose }));
+        const options = start !== -1 ?
+            { start, flags, encoding, mode, autoClose } :
+            { flags, encoding, mode, autoClose };
+        if (onAccess === null) {
+            if (probe(() => this.isDir()) !== true) {
+                return createWriteStream(this.path, options);
+            }
+            handleError(new NotFileError({ path: this.path, syscall: 'open' }));
+            return ERROR;
+        }
+        this.isDir((code) => {
+            if (code !== SUCCESS) {
+                onAccess(SUCCESS, createWriteStream(this.path, options));
             } else {
-                onAccess(code, reason);
+                onAccess(ERROR, new NotFileError({ path: this.path, syscall: 'open' }));
             }
         });
     }
@@ -1011,6 +5786,30 @@ export class File {
         return new File({ path: tmpdir() })
     }
 
+    static glob(pattern, options={}) {
+        const walk = globOptions(pattern, options);
+        return (async function* () {
+            try {
+                await promisify(lstat)(walk.root);
+            } catch (ex) {
+                return;
+            }
+            for await (let entry of walkTree(walk)) {
+                yield entry.file;
+            }
+        })();
+    }
+
+    static globSync(pattern, options={}) {
+        const walk = globOptions(pattern, options);
+        try {
+            lstatSync(walk.root);
+        } catch (ex) {
+            return [];
+        }
+        return Array.from(walkTreeSync(walk), (entry) => { return entry.file; });
+    }
+
     isAbsolute() {
         return isAbsolute(this.path);
     }
@@ -1029,7 +5828,7 @@ export class File {
                 if (status === SUCCESS) {
                     stats.isDirectory() ?
                         onAccess(SUCCESS) :
-                        onAccess(ERROR, new TypeError('NotDirectoryException'));
+                        onAccess(ERROR, new NotDirectoryError({ path: this.path, syscall: 'stat' }));
                 } else {
                     onAccess(status, stats);
                 }
@@ -1051,7 +5850,7 @@ export class File {
                 if (status === SUCCESS) {
                     stats.isFile() ?
                         onAccess(SUCCESS) :
-                        onAccess(ERROR, new TypeError('NotFileException'));
+                        onAccess(ERROR, new NotFileError({ path: this.path, syscall: 'stat' }));
                 } else {
                     onAccess(status, stats);
                 }
@@ -1067,6 +5866,33 @@ export class File {
         return !this.isAbsolute();
     }
 
+    isSymbolicLink(onAccess=null) {
+        if (onAccess === null) {
+            let stats = File.lstat({
+                src: this.path,
+                sync: true
+            });
+            return stats !== ERROR ? stats.isSymbolicLink() : stats;
+        }
+        File.lstat({
+            src: this.path,
+            onStat: (status, stats) => {
+                if (status === SUCCESS) {
+                    stats.isSymbolicLink() ?
+                        onAccess(SUCCESS) :
+                        onAccess(ERROR, new FileError({
+                            code: 'EINVAL',
+                            message: "EINVAL, not a symbolic link '" + this.path + "'",
+                            path: this.path,
+                            syscall: 'lstat'
+                        }));
+                } else {
+                    onAccess(status, stats);
+                }
+            }
+        });
+    }
+
     isWatched() {
         return this.watcher !== null;
     }
@@ -1091,6 +5917,26 @@ export class File {
         });
     }
 
+    static lchown({ src=null, uid=-1, gid=-1, onAccess=null, sync=false }={}) {
+        if (src === null) {
+            handleError(new IllegalArgumentError({ argument: 'src', syscall: 'lchown' }), onAccess);
+        } else {
+            if (sync) {
+                let code = SUCCESS;
+                try {
+                    lchownSync(src, uid, gid);
+                } catch (ex) {
+                    code = ERROR;
+                    handleError(ex, onAccess);
+                } finally {
+                    return code;
+                }
+            } else {
+                lchown(src, uid, gid, (err) => { err ? handleError(err, onAccess) : handleSuccess(null, onAccess); });
+            }
+        }
+    }
+
     length(onAccess=null) {
         if (onAccess === null) {
             let stats = File.stat({
@@ -1105,6 +5951,26 @@ export class File {
         });
     }
 
+    static link({ src=null, dst=null, onAccess=null, sync=false }={}) {
+        if (src === null || dst === null) {
+            handleError(new IllegalArgumentError({ argument: src === null ? 'src' : 'dst', syscall: 'link' }), onAccess);
+        } else {
+            if (sync) {
+                let code = SUCCESS;
+                try {
+                    linkSync(src, dst);
+                } catch (ex) {
+                    code = ERROR;
+                    handleError(ex, onAccess);
+                } finally {
+                    return code;
+                }
+            } else {
+                link(src, dst, (err) => { err ? handleError(err, onAccess) : handleSuccess(null, onAccess); });
+            }
+        }
+    }
+
     list(accept=null, onAccess=null) {
         if (onAccess === null) {
             let code = this.isDir();
@@ -1191,13 +6057,115 @@ export class File {
         });
     }
 
+    lock({ exclusive=true, timeout=0, retryInterval=100, staleAfter=0, onLock=null }={}) {
+        const deadline = Date.now() + timeout;
+        if (onLock === null) {
+            for (;;) {
+                const [code, error] = trap(() => { return this.tryLock({ exclusive, staleAfter }); });
+                if (code !== ERROR) {
+                    return code;
+                }
+                if (!(error instanceof LockError) || Date.now() >= deadline) {
+                    handleError(error);
+                    return ERROR;
+                }
+                sleepSync(Math.min(retryInterval, Math.max(0, deadline - Date.now())));
+            }
+        }
+        const attempt = () => {
+            if (this.lockFile !== null) {
+                handleError(lockHeldError(this.path), onLock);
+                return;
+            }
+            acquireLock(this.getAbsolutePath(), exclusive, staleAfter, (err, lockFile) => {
+                if (!err) {
+                    this.lockFile = lockFile;
+                    onLock(SUCCESS, lockFile);
+                } else if (err instanceof LockError && Date.now() < deadline) {
+                    setTimeout(attempt, Math.min(retryInterval, deadline - Date.now()));
+                } else {
+                    handleError(err, onLock);
+                }
+            });
+        };
+        attempt();
+    }
+
+    static lstat({ src=null, onStat=null, sync=false }={}) {
+        if (src === null) {
+            handleError(new IllegalArgumentError({ argument: 'src', syscall: 'lstat' }), onStat);
+        } else {
+            if (sync) {
+                let result;
+                let code = SUCCESS;
+                try {
+                    result = lstatSync(src);
+                } catch (ex) {
+                    code = ERROR;
+                    handleError(ex, onStat);
+                } finally {
+                    return code !== ERROR ? result : ERROR;
+                }
+            } else {
+                lstat(src, (err, result) => { err ?
+                    handleError(err, onStat) : handleSuccess(result, onStat); });
+            }
+        }
+    }
+
+    static mirror(src=null, dst=null, { delete: remove=false, dryRun=false, compare='mtime', onMirror=null, sync=false }={}) {
+        if (src instanceof File) {
+            src = src.path;
+        }
+        if (dst instanceof File) {
+            dst = dst.path;
+        }
+        if (src === null || dst === null) {
+            handleError(new IllegalArgumentError({
+                argument: src === null ? 'src' : 'dst',
+                syscall: 'mirror'
+            }), onMirror);
+        } else if (isInside(resolve(dst), resolve(src)) || isInside(resolve(src), resolve(dst)) ||
+            resolve(src) === resolve(dst)) {
+            handleError(new IllegalArgumentError({
+                message: "EINVAL, cannot mirror '" + src + "' into '" + dst + "'",
+                path: src,
+                dest: dst,
+                syscall: 'mirror'
+            }), onMirror);
+        } else if (TREE_COMPARES.indexOf(compare) === -1) {
+            handleError(new IllegalArgumentError({
+                message: "EINVAL, mirror unsupported compare '" + compare + "'",
+                syscall: 'mirror'
+            }), onMirror);
+        } else {
+            const options = { remove, dryRun, compare };
+            if (sync) {
+                let report;
+                let code = SUCCESS;
+                try {
+                    report = mirrorTreeSync(src, dst, options);
+                } catch (ex) {
+                    code = ERROR;
+                    handleError(ex, onMirror);
+                } finally {
+                    return code !== ERROR ? report : ERROR;
+                }
+            } else {
+                mirrorTree(src, dst, options).then(
+                    (report) => { handleSuccess(report, onMirror); },
+                    (err) => { handleError(err, onMirror); });
+            }
+        }
+    }
+
     static mkdir({
         src=null,
         mode=0o777,
         onCreate=null,
         sync=false }={}) {
         if (src === null) {
-            handleError(new ReferenceError('SourceNotFoundException'), onCreate);
+            handleError(new IllegalArgumentError({ argument: 'src', syscall: 'mkdir' }), onCreate);
         } else {
             if (sync) {
                 let code = SUCCESS;
@@ -1211,7 +6179,7 @@ export class File {
                 }
             } else {
                 mkdir(src, mode, (err) => {
-                    err ? handleError(err) : handleSuccess(null, onCreate);
+                    err ? handleError(err, onCreate) : handleSuccess(null, onCreate);
                 });
             }
         }
@@ -1223,7 +6191,7 @@ export class File {
         onCreate=null,
         sync=false }={}) {
         if (src === null) {
-            handleError(new ReferenceError('SourceNotFoundException'), onCreate);
+            handleError(new IllegalArgumentError({ argument: 'src', syscall: 'mkdirs' }), onCreate);
         } else {
             let queue = File.splitPaths(src);
             let len = queue.length;
@@ -1254,7 +6222,7 @@ export class File {
                 }
             } else {
                 if (len < 2) {
-                    mkdir(queue[0], mode, (err) => { err ? handleError(err) : handleSuccess(null, onCreate); });
+                    mkdir(queue[0], mode, (err) => { err ? handleError(err, onCreate) : handleSuccess(null, onCreate); });
                 } else {
                     const next = () => {
                         let path = queue.shift();
@@ -1262,7 +6230,7 @@ export class File {
                             if (queue.length === 0) {
                                 mkdir(path, mode, (err) => {
                                     if (err) {
-                                        handleError(err);
+                                        handleError(err, onCreate);
                                     } else {
                                         next();
                                     }
@@ -1274,7 +6242,7 @@ export class File {
                                     } else {
                                         mkdir(path, mode, (err) => {
                                             if (err) {
-                                                handleError(err);
+                                                handleError(err, onCreate);
                                             } else {
                                                 next();
                                             }
@@ -1292,9 +6260,65 @@ export class File {
         }
     }
 
+    static move({ src=null, dst=null, overwrite=false, onMove=null, sync=false }={}) {
+        if (src instanceof File) {
+            src = src.path;
+        }
+        if (dst instanceof File) {
+            dst = dst.path;
+        }
+        if (src === null || dst === null) {
+            handleError(new IllegalArgumentError({
+                argument: src === null ? 'src' : 'dst',
+                syscall: 'move'
+            }), onMove);
+        } else {
+            const options = {
+                recursive: true,
+                overwrite,
+                preserveMode: true,
+                preserveTimes: true,
+                followSymlinks: false
+            };
+            if (sync) {
+                let code = SUCCESS;
+                try {
+                    moveTreeSync(src, dst, options);
+                } catch (ex) {
+                    code = ERROR;
+                    handleError(ex, onMove);
+                } finally {
+                    return code;
+                }
+            } else {
+                moveTree(src, dst, options, (err) => {
+                    err ? handleError(err, onMove) : handleSuccess(null, onMove);
+                });
+            }
+        }
+    }
+
+    moveTo(dst, onAccess=null, { overwrite=false }={}) {
+        if (onAccess === null) {
+            return File.move({
+                src: this.path,
+                dst,
+                overwrite,
+                sync: true
+            });
+        }
+        File.move({
+            src: this.path,
+            dst,
+            overwrite,
+            onMove: onAccess
+        });
+    }
+
     open({ flags='r+', onOpen=null }={}) {
         if (onOpen === null) {
-            if (this.isFile()) {
+            let code = this.isFile();
+            if (code === true) {
                 this.fd = File.openFd({
                     src: this.path,
                     flags,
@@ -1302,11 +6326,9 @@ export class File {
                 });
                 if (this.fd !== ERROR) {
                     return this.fd;
-                } else {
-                    EX = EX || new ReferenceError('FileExistException');
                 }
-            } else {
-                EX = EX || new ReferenceError('FileExistException');
+            } else if (code === false) {
+                handleError(new NotFileError({ path: this.path, syscall: 'open' }));
             }
             return ERROR;
         }
@@ -1324,7 +6346,7 @@ export class File {
                     }
                 });
             } else {
-                onOpen(ERROR, reason || new ReferenceError('FileNotFoundException'));
+                onOpen(ERROR, reason || new NotFileError({ path: this.path, syscall: 'open' }));
             }
         });
     }
@@ -1336,24 +6358,31 @@ export class File {
         onOpen=null,
         sync=false}={}) {
         if (src === null) {
-            handleError(new ReferenceError('SourceNotFoundException'), onOpen);
+            handleError(new IllegalArgumentError({ argument: 'src', syscall: 'openFd' }), onOpen);
         } else {
             if (sync) {
                 let code = ERROR;
                 try {
                     code = openSync(src, flags, mode);
                 } catch (ex) {
-                    console.log(ex);
                     handleError(ex, onOpen);
                 } finally {
                     return code;
                 }
             } else {
-                open(src, flags, mode, (err, fd) => { err ? handleError(err) : handleSuccess(fd, onOpen); });
+                open(src, flags, mode, (err, fd) => { err ? handleError(err, onOpen) : handleSuccess(fd, onOpen); });
             }
         }
     }
 
+    get promises() {
+        return new FilePromises(this);
+    }
+
+    static get promises() {
+        return STATIC_PROMISES;
+    }
+
     read({
         buffer=new Uint8Array(512, 0, 512),
         offset=0,
@@ -1362,7 +6391,7 @@ export class File {
         onRead=null }={}) {
         if (onRead === null) {
             let code = this.isFile();
-            if (code === ERROR) {
+            if (code === true) {
                 code = File.openFd({
                     src: this.path,
                     sync: true
@@ -1376,11 +6405,9 @@ export class File {
                         position,
                         sync: true
                     });
-                } else {
-                    EX = EX || new ReferenceError('FileExistException');
                 }
-            } else {
-                EX = EX || new ReferenceError('FileExistException');
+            } else if (code === false) {
+                handleError(new NotFileError({ path: this.path, syscall: 'open' }));
             }
             return ERROR;
         }
@@ -1404,7 +6431,7 @@ export class File {
                     }
                 });
             } else {
-                onRead(ERROR, reason || new ReferenceError('FileNotFoundException'));
+                onRead(ERROR, reason || new NotFileError({ path: this.path, syscall: 'open' }));
             }
         });
     }
@@ -1418,7 +6445,7 @@ export class File {
         onRead=null,
         sync=false }={}) {
         if (src === null) {
-            handleError(new ReferenceError('SourceNotFoundException'), onRead);
+            handleError(new IllegalArgumentError({ argument: 'src', syscall: 'readFd' }), onRead);
         } else {
             if (length === 0) {
                 length = buffer.length;
@@ -1445,12 +6472,16 @@ export class File {
     static readFileOrDir({
         src=null,
         mode=FILE,
-        options={ encoding:'utf8' },
+        options=null,
         onRead=null,
         sync=false }={}) {
         if (src === null) {
-            handleError(new ReferenceError('SourceNotFoundException'), onRead);
+            handleError(new IllegalArgumentError({ argument: 'src', syscall: 'readFileOrDir' }), onRead);
         } else {
+            if (options === null) {
+                // asynchronous file reads have always resolved with a Buffer
+                options = sync || mode === DIR ? { encoding: 'utf8' } : {};
+            }
             if (sync) {
                 let data;
                 let code = SUCCESS;
@@ -1471,7 +6502,7 @@ export class File {
                             handleError(err, onRead) : handleSuccess(files, onRead); });
                         break;
                     default:
-                        readFile(src, (err, data) => { err ?
+                        readFile(src, options, (err, data) => { err ?
                             handleError(err, onRead) : handleSuccess(data, onRead); });
                         break;
                 }
@@ -1479,13 +6510,113 @@ export class File {
         }
     }
 
+    readLines({ encoding='utf8', from=0, limit=0, decompress=false }={}) {
+        const file = this;
+        return (async function* () {
+            const input = toChecked(() => { return file.getInputStream({ encoding: null }); });
+            let stream = input;
+            if (decompress) {
+                try {
+                    stream = decompressStream(file.path, input);
+                } catch (ex) {
+                    input.destroy();
+                    throw ex;
+                }
+            }
+            const splitter = new LineSplitter(encoding);
+            let index = 0;
+            let count = 0;
+            try {
+                const chunks = (async function* () {
+                    for await (let chunk of stream) {
+                        yield splitter.write(chunk);
+                    }
+                    yield splitter.end();
+                })();
+                for await (let lines of chunks) {
+                    for (let line of lines) {
+                        if (index++ < from) {
+                            continue;
+                        }
+                        yield line;
+                        if (limit > 0 && ++count >= limit) {
+                            return;
+                        }
+                    }
+                }
+            } finally {
+                stream.destroy();
+            }
+        })();
+    }
+
+    readLink(onAccess=null, encoding='utf8') {
+        if (onAccess === null) {
+            return File.readlink({
+                src: this.path,
+                encoding,
+                sync: true
+            });
+        }
+        File.readlink({
+            src: this.path,
+            encoding,
+            onAccess
+        });
+    }
+
+    static readlink({ src=null, encoding='utf8', onAccess=null, sync=false }={}) {
+        if (src === null) {
+            handleError(new IllegalArgumentError({ argument: 'src', syscall: 'readlink' }), onAccess);
+        } else {
+            if (sync) {
+                let result;
+                let code = SUCCESS;
+                try {
+                    result = readlinkSync(src, { encoding });
+                } catch (ex) {
+                    code = ERROR;
+                    handleError(ex, onAccess);
+                } finally {
+                    return code !== ERROR ? result : ERROR;
+                }
+            } else {
+                readlink(src, { encoding }, (err, result) => { err ?
+                    handleError(err, onAccess) : handleSuccess(result, onAccess); });
+            }
+        }
+    }
+
+    release(onRelease=null) {
+        const lockFile = this.lockFile;
+        this.lockFile = null;
+        const owned = lockFile !== null && untrackLock(lockFile);
+        if (onRelease === null) {
+            if (lockFile === null) {
+                return SUCCESS;
+            }
+            if (!owned) {
+                handleError(lockLostError(lockFile));
+                return ERROR;
+            }
+            return File.removeFileOrDir({ src: lockFile, mode: FILE, sync: true });
+        }
+        if (lockFile === null) {
+            onRelease(SUCCESS, null);
+        } else if (!owned) {
+            handleError(lockLostError(lockFile), onRelease);
+        } else {
+            File.removeFileOrDir({ src: lockFile, mode: FILE, onRemove: onRelease });
+        }
+    }
+
     static realpath({
         src=null,
         encoding='utf8',
         onAccess=null,
         sync=false }={}) {
         if (src === null) {
-            handleError(new ReferenceError('PathNotFoundException'), onAccess);
+            handleError(new IllegalArgumentError({ argument: 'src', syscall: 'realpath' }), onAccess);
         } else {
             if (sync) {
                 let data;
@@ -1512,7 +6643,7 @@ export class File {
         onRemove=null,
         sync=false }={}) {
         if (src === null) {
-            handleError(new ReferenceError('FileNotFoundException'), onRemove);
+            handleError(new IllegalArgumentError({ argument: 'src', syscall: 'removeFileOrDir' }), onRemove);
         } else {
             if (sync) {
                 let code = SUCCESS;
@@ -1550,7 +6681,10 @@ export class File {
 
     static rename({ src=null, dst=null, onRename=null, sync=false }={}) {
         if (src === null || dst === null) {
-            handleError(new ReferenceError('FileNotFoundException'), onRename);
+            handleError(new IllegalArgumentError({
+                argument: src === null ? 'src' : 'dst',
+                syscall: 'rename'
+            }), onRename);
         } else {
             if (sync) {
                 let code = SUCCESS;
@@ -1588,44 +6722,38 @@ export class File {
         });
     }
 
+    resolveLinks({ maxDepth=40, onResolve=null }={}) {
+        if (onResolve === null) {
+            let code = SUCCESS;
+            let target = null;
+            try {
+                target = resolveLinksSync(this.path, maxDepth);
+            } catch (ex) {
+                code = ERROR;
+                handleError(ex);
+            } finally {
+                return code !== ERROR ? target : ERROR;
+            }
+        }
+        resolveLinks(this.path, maxDepth).then(
+            (target) => { handleSuccess(target, onResolve); },
+            (err) => { handleError(err, onResolve); });
+    }
+
     static rimraf({
         src=null,
+        root=null,
+        retries=3,
+        retryDelay=100,
         onRemove=null,
         sync=false }={}) {
         if (src === null) {
-            handleError(new ReferenceError('FileNotFoundException'), onRemove);
+            handleError(new IllegalArgumentError({ argument: 'src', syscall: 'rimraf' }), onRemove);
         } else {
             if (sync) {
                 let code = SUCCESS;
                 try {
-                    let result = File.readFileOrDir({ src, mode: DIR, sync: true });
-                    if (result !== ERROR) {
-                        let queue = result.map(file => { return join(src, file); });
-                        const next = () => {
-                            let path = queue.shift();
-                            if (path) {
-                                let code = File.stat({ src: path, sync: true });
-                                if (code !== ERROR) {
-                                    if (code.isDirectory()) {
-                                        code = File.rimraf({ src: path, sync: true });
-                                        if (code !== ERROR) {
-                                            code = next();
-                                        }
-                                    } else {
-                                        code = File.removeFileOrDir({ src: path, mode: FILE, sync: true });
-                                        if (code !== ERROR) {
-                                            code = next();
-                                        }
-                                    }
-                                }
-                                return code;
-                            } else {
-                                return File.removeFileOrDir({ src: src, mode: DIR, sync: true });
-                            }
-                        };
-                        result = next();
-                    }
-                    code = result;
+                    removeEntrySync(checkRemoval(src, root), retries, retryDelay);
                 } catch (ex) {
                     code = ERROR;
                     handleError(ex, onRemove);
@@ -1633,59 +6761,16 @@ export class File {
                     return code;
                 }
             } else {
-                File.readFileOrDir({
-                    src,
-                    mode: DIR,
-                    onRead: (code, files) => {
-                        if (code === SUCCESS) {
-                            let queue = files.map(file => { return join(src, file); });
-                            const next = () => {
-                                let path = queue.shift();
-                                if (path) {
-                                    File.stat({
-                                        src: path,
-                                        onStat: (code, stats) => {
-                                            if (code === ERROR) {
-                                                handleError(stats, onRemove);
-                                            } else {
-                                                if (stats.isDirectory()) {
-                                                    File.rimraf({
-                                                        src: path,
-                                                        onRemove: (code, reason) => {
-                                                            code === SUCCESS ?
-                                                                next() : handleError(reason, onRemove);
-                                                        }
-                                                    });
-                                                } else {
-                                                    File.removeFileOrDir({
-                                                        src: path,
-                                                        mode: FILE,
-                                                        onRemove: (code, reason) => {
-                                                            code === SUCCESS ?
-                                                                next() : handleError(reason, onRemove);
-                                                        }
-                                                    });
-                                                }
-                                            }
-                                        }
-                                    });
-                                } else {
-                                    File.removeFileOrDir({
-                                        src: src,
-                                        mode: DIR,
-                                        onRemove: (code, reason) => {
-                                            code === SUCCESS ?
-                                                handleSuccess(code, onRemove) : handleError(reason, onRemove);
-                                        }
-                                    });
-                                }
-                            };
-                            queue.length === 0 ? handleSuccess(null, onRemove) : next();
-                        } else {
-                            handleError(null, onRemove);
-                        }
-                    }
-                });
+                let path;
+                try {
+                    path = checkRemoval(src, root);
+                } catch (ex) {
+                    handleError(ex, onRemove);
+                    return;
+                }
+                removeEntry(path, retries, retryDelay).then(
+                    () => { handleSuccess(SUCCESS, onRemove); },
+                    (err) => { handleError(err, onRemove); });
             }
         }
     }
@@ -1696,18 +6781,18 @@ export class File {
             switch(mode) {
                 case FILE:
                     code = this.isFile();
-                    if (code !== ERROR) {
+                    if (code === true) {
                         return this.destroyFile();
-                    } else {
-                        EX = EX || new TypeError('NotFileException');
+                    } else if (code === false) {
+                        handleError(new NotFileError({ path: this.path, syscall: 'unlink' }));
                     }
                     return ERROR;
                 default:
                     code = this.isDir();
-                    if (code !== ERROR) {
+                    if (code === true) {
                         return this.destroyDir();
-                    } else {
-                        EX = EX || new TypeError('NotDirectoryException');
+                    } else if (code === false) {
+                        handleError(new NotDirectoryError({ path: this.path, syscall: 'rmdir' }));
                     }
                     return ERROR;
             }
@@ -1734,17 +6819,18 @@ export class File {
         }
     }
 
-    setContent({ buffer=new Uint8Array(512, 0, 512), onWrite=null }={}) {
+    setContent({ buffer=new Uint8Array(512, 0, 512), atomic=false, onWrite=null }={}) {
         if (onWrite === null) {
             let code = this.isDir();
-            if (code === ERROR) {
+            if (code !== true) {
                 return File.writeFile({
                     src: this.path,
                     buffer,
+                    atomic,
                     sync: true
                 });
             } else {
-                EX = EX || new ReferenceError('NotFileException');
+                handleError(new NotFileError({ path: this.path, syscall: 'open' }));
             }
             return ERROR;
         }
@@ -1753,33 +6839,18 @@ export class File {
                 File.writeFile({
                     src: this.path,
                     buffer,
+                    atomic,
                     onWrite
                 });
             } else {
-                onWrite(ERROR, new ReferenceError('NotFileException'));
+                onWrite(ERROR, new NotFileError({ path: this.path, syscall: 'open' }));
             }
         });
     }
 
-    setExecutable(executable=true, ownerOnly=true, onAccess=null) {
-        let mode = 0;
-        if (executable) {
-            mode = ownerOnly ? 0o100 : 0o001;
-        } else {
-            mode = ownerOnly ? 0o600 : 0o006;
-        }
-        if (onAccess === null) {
-            return File.chmod({
-                src: this.path,
-                mode,
-                sync: true
-            });
-        }
-        File.chmod({
-            src: this.path,
-            mode,
-            onAccess
-        });
+    setExecutable(executable=true, ownerOnly=true, onAccess=null, { recursive=false }={}) {
+        const permissions = (ownerOnly ? 'u' : 'a') + (executable ? '+' : '-') + 'x';
+        return this.setPermissions(permissions, onAccess, { recursive });
     }
 
     setLastModified(mtime=(Date.now()/1000), onAccess=null) {
@@ -1799,45 +6870,52 @@ export class File {
         });
     }
 
-    setReadable(readable=true, ownerOnly=true, onAccess=null) {
-        let mode = 0;
-        if (readable) {
-            mode = ownerOnly ? 0o400 : 0o004;
-        } else {
-            mode = ownerOnly ? 0o200 : 0o002;
-        }
+    setOwner({ uid=-1, gid=-1, recursive=false, onAccess=null }={}) {
         if (onAccess === null) {
-            return File.chmod({
-                src: this.path,
-                mode,
-                sync: true
-            });
+            let code = SUCCESS;
+            try {
+                changeOwnerSync(this.path, uid, gid, recursive);
+            } catch (ex) {
+                code = ERROR;
+                handleError(ex);
+            } finally {
+                return code;
+            }
         }
-        File.chmod({
-            src: this.path,
-            mode,
-            onAccess
-        });
+        changeOwner(this.path, uid, gid, recursive).then(
+            () => { handleSuccess(null, onAccess); },
+            (err) => { handleError(err, onAccess); });
     }
 
-    setReadOnly(onAccess=null) {
+    setPermissions(permissions, onAccess=null, { recursive=false }={}) {
         if (onAccess === null) {
-            return File.chmod({
-                src: this.path,
-                mode: 0o666,
-                sync: true
-            });
+            let code = SUCCESS;
+            try {
+                changePermissionsSync(this.path, permissions, recursive);
+            } catch (ex) {
+                code = ERROR;
+                handleError(ex);
+            } finally {
+                return code;
+            }
         }
-        File.chmod({
-            src: this.path,
-            mode: 0o666,
-            onAccess
-        });
+        changePermissions(this.path, permissions, recursive).then(
+            () => { handleSuccess(null, onAccess); },
+            (err) => { handleError(err, onAccess); });
+    }
+
+    setReadable(readable=true, ownerOnly=true, onAccess=null, { recursive=false }={}) {
+        const permissions = (ownerOnly ? 'u' : 'a') + (readable ? '+' : '-') + 'r';
+        return this.setPermissions(permissions, onAccess, { recursive });
+    }
+
+    setReadOnly(onAccess=null, { recursive=false }={}) {
+        return this.setPermissions('a-w', onAccess, { recursive });
     }
 
     setup({ path, parent = null, onUnwatchDelete=false } = {}) {
         if (path === null) {
-            throw new ReferenceError('NullPointerException');
+            throw new IllegalArgumentError({ argument: 'path' });
         }
         if (parent === null) {
             this.path = normalize(path);
@@ -1854,28 +6932,13 @@ export class File {
         }
         this.onUnwatchDelete = onUnwatchDelete;
         this.watcher = null;
+        this.lockFile = null;
         this.fd = 0;
     }
 
-    setWritable(writable=true, ownerOnly=true, onAccess=null) {
-        let mode = 0;
-        if (writable) {
-            mode = ownerOnly ? 0o200 : 0o002;
-        } else {
-            mode = ownerOnly ? 0o400 : 0o004;
-        }
-        if (onAccess === null) {
-            return File.chmod({
-                src: this.path,
-                mode,
-                sync: true
-            });
-        }
-        File.chmod({
-            src: this.path,
-            mode,
-            onAccess
-        });
+    setWritable(writable=true, ownerOnly=true, onAccess=null, { recursive=false }={}) {
+        const permissions = (ownerOnly ? 'u' : 'a') + (writable ? '+' : '-') + 'w';
+        return this.setPermissions(permissions, onAccess, { recursive });
     }
 
     static slashify(path, isDir = false) {
@@ -1905,7 +6968,7 @@ export class File {
 
     static stat({ src=null, onStat=null, sync=false }={}) {
         if (src === null) {
-            handleError(new ReferenceError('StatNotFoundException'), onStat);
+            handleError(new IllegalArgumentError({ argument: 'src', syscall: 'stat' }), onStat);
         } else {
             if (sync) {
                 let stats;
@@ -1930,39 +6993,61 @@ export class File {
         }
     }
 
-    static symlink({ src=null, dst=null, onAccess=null, sync=false }={}) {
-        if (sync) {
-            let code = SUCCESS;
-            try {
-                symlinkSync(src, dst);
-            } catch (ex) {
-                code = ERROR;
-                handleError(ex, onAccess);
-            } finally {
-                return code;
-            }
+    static symlink({ src=null, dst=null, type=null, onAccess=null, sync=false }={}) {
+        if (src === null || dst === null) {
+            handleError(new IllegalArgumentError({ argument: src === null ? 'src' : 'dst', syscall: 'symlink' }), onAccess);
         } else {
-            symlink(src, dst, (err) => { err ?
-                handleError(err, onAccess) : handleSuccess(null, onAccess); });
+            if (sync) {
+                let code = SUCCESS;
+                try {
+                    symlinkSync(src, dst, type);
+                } catch (ex) {
+                    code = ERROR;
+                    handleError(ex, onAccess);
+                } finally {
+                    return code;
+                }
+            } else {
+                symlink(src, dst, type, (err) => { err ?
+                    handleError(err, onAccess) : handleSuccess(null, onAccess); });
+            }
         }
     }
 
     static sync({ fd=null, onSync=null, sync=false }={}) {
         if (fd === null) {
-            handleError(new ReferenceError('FdNotFoundException'), onSync);
+            handleError(new IllegalArgumentError({ argument: 'fd', syscall: 'sync' }), onSync);
         } else {
             if (sync) {
+                let code = SUCCESS;
                 try {
                     fsyncSync(fd);
                 } catch (ex) {
+                    code = ERROR;
                     handleError(ex, onSync);
+                } finally {
+                    return code;
                 }
             } else {
-                fsync(fd, (err) => { err ? handleError(err) : handleSuccess(null, onSync); });
+                fsync(fd, (err) => { err ? handleError(err, onSync) : handleSuccess(null, onSync); });
             }
         }
     }
 
+    static tar({ src=null, dst=null, gzip=false, onTar=null }={}) {
+        if (src instanceof File) {
+            src = src.path;
+        }
+        if (dst instanceof File) {
+            dst = dst.path;
+        }
+        if (src === null || dst === null) {
+            handleError(new IllegalArgumentError({ argument: src === null ? 'src' : 'dst', syscall: 'tar' }), onTar);
+        } else {
+            tarTree(src, dst, gzip, (err) => { err ? handleError(err, onTar) : handleSuccess(dst, onTar); });
+        }
+    }
+
     toObject() {
         return parse(this.path);
     }
@@ -1977,16 +7062,17 @@ export class File {
 
     static truncate({ src=null, len = 0, onTruncate=null, sync=false }={}) {
         if (src === null) {
-            handleError(new ReferenceError('FileNotFoundException'), onTruncate);
+            handleError(new IllegalArgumentError({ argument: 'src', syscall: 'truncate' }), onTruncate);
         } else {
             if (sync) {
+                let code = SUCCESS;
                 try {
-                    if (!isNaN(src)) {
-                        return ftruncateSync(src, len);
-                    }
-                    return truncateSync(src, len);
+                    !isNaN(src) ? ftruncateSync(src, len) : truncateSync(src, len);
                 } catch (ex) {
+                    code = ERROR;
                     handleError(ex, onTruncate);
+                } finally {
+                    return code;
                 }
             } else {
                 if (!isNaN(src)) {
@@ -2000,13 +7086,42 @@ export class File {
         }
     }
 
+    tryLock({ exclusive=true, staleAfter=0 }={}) {
+        if (this.lockFile !== null) {
+            handleError(lockHeldError(this.path));
+            return ERROR;
+        }
+        let code = SUCCESS;
+        try {
+            this.lockFile = acquireLockSync(this.getAbsolutePath(), exclusive, staleAfter);
+        } catch (ex) {
+            code = ERROR;
+            handleError(ex);
+        } finally {
+            return code;
+        }
+    }
+
+    static untar({ src=null, dst=null, strip=0, filter=null, onError=null, onUntar=null }={}) {
+        if (src instanceof File) {
+            src = src.path;
+        }
+        if (dst instanceof File) {
+            dst = dst.path;
+        }
+        if (src === null || dst === null) {
+            handleError(new IllegalArgumentError({ argument: src === null ? 'src' : 'dst', syscall: 'untar' }), onUntar);
+        } else {
+            untarTree(src, dst, { strip, filter, onError }, (err, extracted) => { err ?
+                handleError(err, onUntar) : handleSuccess(extracted, onUntar); });
+        }
+    }
+
     unwatch() {
         if (this.isWatched()) {
-            console.log('starting unwatch ' + this.getName());
             this.watcher.close();
             this.watcher = null;
             if (this.onUnwatchDelete) {
-                console.log('delete on unwatch ' + this.getName());
                 this.destroy();
             }
         }
@@ -2014,7 +7129,7 @@ export class File {
 
     static utimes({ src=null, atime=0, mtime=0, onAccess=null, sync=false }={}) {
         if (src === null) {
-            handleError(new ReferenceError('FileNotFoundException'), onAccess);
+            handleError(new IllegalArgumentError({ argument: 'src', syscall: 'utimes' }), onAccess);
         } else {
             if (sync) {
                 let code = SUCCESS;
@@ -2033,19 +7148,78 @@ export class File {
         }
     }
 
-    watch({ persistent=false, recursive=false, encoding='utf8', onAccess }={}) {
-        this.exists((code, reason) => {
-            if (code !== ERROR) {
-                console.log('starting watch ' + this.path);
-                this.watcher = watch(this.path, {persistent, recursive, encoding}, (eventType, filename) => {
-                    onAccess(eventType, filename);
-                });
-            } else {
-                onAccess(ERROR, reason || new ReferenceError('FileNotFoundException'));
+    verify(expected, onVerify=null, { algorithm='sha256', encoding='hex' }={}) {
+        const multiple = expected !== null && typeof expected === 'object';
+        if (multiple) {
+            algorithm = Object.keys(expected);
+            if (algorithm.length === 0) {
+                // nothing to compare would otherwise verify any content
+                handleError(new IllegalArgumentError({
+                    message: "EINVAL, verify without expected checksums '" + this.path + "'",
+                    path: this.path,
+                    syscall: 'verify'
+                }), onVerify);
+                return ERROR;
+            }
+        }
+        const matches = (digest) => {
+            if (!multiple) {
+                return sameDigest(expected, digest, encoding);
             }
+            return algorithm.every((name) => { return sameDigest(expected[name], digest[name], encoding); });
+        };
+        if (onVerify === null) {
+            // a mismatch is ERROR too, but only a failed read leaves an error behind
+            let digest = this.digest({ algorithm, encoding });
+            return digest !== ERROR && digest !== undefined && matches(digest) ? SUCCESS : ERROR;
+        }
+        this.digest({
+            algorithm,
+            encoding,
+            onDigest: (code, digest) => { code === SUCCESS ? onVerify(SUCCESS, matches(digest)) : onVerify(code, digest); }
         });
     }
 
+    static walk(options={}) {
+        return walkTree(walkOptions(options));
+    }
+
+    static walkSync(options={}) {
+        return walkTreeSync(walkOptions(options));
+    }
+
+    watch({
+        persistent=false,
+        recursive=false,
+        debounce=50,
+        usePolling=false,
+        interval=1000,
+        encoding,
+        onAccess=null }={}) {
+        if (this.isWatched()) {
+            return this.watcher;
+        }
+        const watcher = new FileWatcher({ path: this.path, persistent, recursive, debounce, usePolling, interval });
+        if (onAccess !== null && encoding !== undefined) {
+            deprecate('watch-encoding', "File#watch's encoding option is deprecated, " +
+                'drop it to receive onAccess(event, path, stats)');
+            const legacy = legacyWatchListener(this.path, encoding, onAccess);
+            watcher.on('all', legacy);
+        } else if (onAccess !== null) {
+            watcher.on('all', (event, path, stats) => { onAccess(event, path, stats); });
+        }
+        // an 'error' event without a listener would throw and end the process
+        watcher.on('error', (ex) => { handleError(ex, onAccess); });
+        try {
+            watcher.start();
+        } catch (ex) {
+            handleError(ex, onAccess);
+            return null;
+        }
+        this.watcher = watcher;
+        return watcher;
+    }
+
     write({
         src=null,
         buffer=new Uint8Array(512, 0, 512),
@@ -2056,7 +7230,7 @@ export class File {
         onWrite=null }={}) {
         if (onWrite === null) {
             let code = this.isFile();
-            if (code === ERROR) {
+            if (code === true) {
                 code = File.openFd({
                     src: this.path,
                     sync: true
@@ -2071,11 +7245,9 @@ export class File {
                         encoding,
                         sync: true
                     });
-                } else {
-                    EX = EX || new ReferenceError('FileExistException');
                 }
-            } else {
-                EX = EX || new ReferenceError('FileExistException');
+            } else if (code === false) {
+                handleError(new NotFileError({ path: this.path, syscall: 'open' }));
             }
             return ERROR;
         }
@@ -2100,7 +7272,7 @@ export class File {
                     }
                 });
             } else {
-                onWrite(ERROR, reason || new ReferenceError('FileNotFoundException'));
+                onWrite(ERROR, reason || new NotFileError({ path: this.path, syscall: 'open' }));
             }
         });
     }
@@ -2115,7 +7287,7 @@ export class File {
         onWrite=null,
         sync=false }={}) {
         if (src === null) {
-            handleError(new ReferenceError('SourceNotFoundException'), onRead);
+            handleError(new IllegalArgumentError({ argument: 'src', syscall: 'writeFd' }), onWrite);
         } else {
             if (length === 0) {
                 length = buffer.length;
@@ -2148,16 +7320,48 @@ export class File {
         }
     }
 
+    static writeAtomic({
+        src=null,
+        buffer=new Uint8Array(512, 0, 512),
+        encoding='utf8',
+        mode=0o666,
+        onWrite=null,
+        sync=false }={}) {
+        if (src === null) {
+            handleError(new IllegalArgumentError({ argument: 'src', syscall: 'writeAtomic' }), onWrite);
+        } else {
+            if (sync) {
+                let code = SUCCESS;
+                try {
+                    writeAtomicSync(src, buffer, { encoding, mode });
+                } catch (ex) {
+                    code = ERROR;
+                    handleError(ex, onWrite);
+                } finally {
+                    return code;
+                }
+            } else {
+                writeAtomic(src, buffer, { encoding, mode }, (err) => {
+                    err ? handleError(err, onWrite) : handleSuccess(null, onWrite);
+                });
+            }
+        }
+    }
+
     static writeFile({
         src=null,
         buffer=new Uint8Array(512, 0, 512),
         encoding='utf8',
         mode=0o666,
         flag='w',
+        atomic=false,
         onWrite=null,
         sync=false }={}) {
+        if (atomic) {
+            return File.writeAtomic({ src, buffer, encoding, mode, onWrite, sync });
+        }
         if (src === null) {
-            handleError(new ReferenceError('SourceNotFoundException'), onRead);
+            handleError(new IllegalArgumentError({ argument: 'src', syscall: 'writeFile' }), onWrite);
         } else {
             if (sync) {
                 let code = SUCCESS;
@@ -2170,7 +7374,7 @@ export class File {
                     return code;
                 }
             } else {
-                write(src, buffer, { encoding, mode, flag }, (err) => {
+                writeFile(src, buffer, { encoding, mode, flag }, (err) => {
                     err ? handleError(err, onWrite) : handleSuccess(null, onWrite);
                 });
             }
@@ -2178,3 +7382,248 @@ export class File {
     }
 
 }
+
+const toError = (reason) => {
+    if (reason instanceof Error) {
+        return reason;
+    }
+    return new Error(reason === null || reason === undefined ? 'UnknownException' : String(reason));
+};
+
+const toPromise = (call, predicate=false) => {
+    return new Promise((resolve, reject) => {
+        call((code, result) => {
+            if (predicate) {
+                resolve(code === SUCCESS);
+            } else {
+                code === SUCCESS ? resolve(result) : reject(toError(result));
+            }
+        });
+    });
+};
+
+/*
+ Static helpers keyed by the name of their callback option, or by the
+ position of their options argument and the callback option name.
+ */
+const STATIC_CALLBACKS = {
+    access: 'onExists',
+    appendFile: 'onData',
+    chmod: 'onAccess',
+    chown: 'onAccess',
+    closeFd: 'onClose',
+    copy: 'onCopy',
+    createTempDir: 'onAccess',
+    dataSync: 'onDataSync',
+    diffTrees: [2, 'onDiff'],
+    digest: 'onDigest',
+    diskUsage: 'onUsage',
+    execFile: 'onAccess',
+    fchown: 'onAccess',
+    futimes: 'onFutimes',
+    lchown: 'onAccess',
+    link: 'onAccess',
+    lstat: 'onStat',
+    mirror: [2, 'onMirror'],
+    mkdir: 'onCreate',
+    mkdirs: 'onCreate',
+    move: 'onMove',
+    openFd: 'onOpen',
+    readFd: 'onRead',
+    readFileOrDir: 'onRead',
+    readlink: 'onAccess',
+    realpath: 'onAccess',
+    removeFileOrDir: 'onRemove',
+    rename: 'onRename',
+    rimraf: 'onRemove',
+    stat: 'onStat',
+    symlink: 'onAccess',
+    sync: 'onSync',
+    tar: 'onTar',
+    truncate: 'onTruncate',
+    untar: 'onUntar',
+    utimes: 'onAccess',
+    writeAtomic: 'onWrite',
+    writeFd: 'onWrite',
+    writeFile: 'onWrite'
+};
+
+/*
+ Instance methods keyed by either the position of their callback argument
+ or the name of their callback option.
+ */
+const INSTANCE_CALLBACKS = {
+    alias: 1,
+    canExecute: 0,
+    canRead: 0,
+    canWrite: 0,
+    close: 0,
+    compress: 'onCompress',
+    copyTo: 1,
+    createDir: 0,
+    createDirs: 0,
+    createDirTmp: 0,
+    createFile: 0,
+    createSymlink: 1,
+    decompress: 'onDecompress',
+    destroyDir: 0,
+    destroyFile: 0,
+    digest: 'onDigest',
+    diskUsage: 'onUsage',
+    exec: 'onAccess',
+    exists: 0,
+    getAttributes: 0,
+    getContent: 0,
+    getInputStream: 'onAccess',
+    getOwner: 0,
+    getOutputStream: 'onAccess',
+    getRealPath: 0,
+    isDir: 0,
+    isFile: 0,
+    isSymbolicLink: 0,
+    lastModified: 0,
+    length: 0,
+    list: 1,
+    listFiles: 1,
+    lock: 'onLock',
+    moveTo: 1,
+    open: 'onOpen',
+    read: 'onRead',
+    readLink: 0,
+    release: 0,
+    renameTo: 1,
+    resolveLinks: 'onResolve',
+    safeDestroy: 1,
+    setContent: 'onWrite',
+    setExecutable: 2,
+    setLastModified: 1,
+    setOwner: 'onAccess',
+    setPermissions: 1,
+    setReadable: 2,
+    setReadOnly: 0,
+    setWritable: 2,
+    verify: 1,
+    write: 'onWrite'
+};
+
+const PREDICATES = ['canExecute', 'canRead', 'canWrite', 'exists', 'isDir', 'isFile', 'isSymbolicLink'];
+
+/*
+ Synchronous checks that answer SUCCESS or ERROR like the predicates, but
+ whose failure to run is still thrown by the checked facade.
+ */
+const CHECKS = ['verify'];
+
+const STATIC_PROMISES = {};
+
+const staticArgs = (name, args, cb, sync) => {
+    const callback = STATIC_CALLBACKS[name];
+    const [position, key] = Array.isArray(callback) ? callback : [0, callback];
+    args = args.slice(0, position + 1);
+    args.length = position + 1;
+    args[position] = Object.assign({}, args[position], { [key]: cb, sync });
+    return args;
+};
+
+Object.keys(STATIC_CALLBACKS).forEach((name) => {
+    STATIC_PROMISES[name] = (...args) => {
+        return toPromise((cb) => {
+            File[name](...staticArgs(name, args, cb, false));
+        });
+    };
+});
+
+class FilePromises {
+
+    constructor(file) {
+        this.file = file;
+    }
+
+}
+
+Object.keys(INSTANCE_CALLBACKS).forEach((name) => {
+    let callback = INSTANCE_CALLBACKS[name];
+    FilePromises.prototype[name] = function (...args) {
+        return toPromise((cb) => {
+            if (typeof callback === 'number') {
+                args.length = Math.max(args.length, callback);
+                args.splice(callback, 0, cb);
+            } else {
+                args = [Object.assign({}, args[0], { [callback]: cb })];
+            }
+            this.file[name](...args);
+        }, PREDICATES.indexOf(name) !== -1);
+    };
+});
+
+const trap = (call) => {
+    const frame = { error: null };
+    traps.push(frame);
+    let result;
+    try {
+        result = call();
+    } finally {
+        traps.pop();
+    }
+    return [result, frame.error];
+};
+
+/*
+ Runs a call whose failure is an expected answer rather than an error of the
+ caller, so it does not leak into the enclosing checked call.
+ */
+const probe = (call) => {
+    return trap(call)[0];
+};
+
+const toChecked = (call, predicate=false) => {
+    const [result, error] = trap(call);
+    if (predicate) {
+        return result === true || result === SUCCESS;
+    }
+    if ((result === ERROR || result === undefined) && error !== null) {
+        throw toError(error);
+    }
+    return result;
+};
+
+/*
+ Helpers that only run asynchronously, left out of the checked facade.
+ */
+const STATIC_ASYNC = ['tar', 'untar'];
+
+const INSTANCE_ASYNC = ['compress', 'decompress'];
+
+const STATIC_CHECKED = {};
+
+Object.keys(STATIC_CALLBACKS).filter((name) => { return STATIC_ASYNC.indexOf(name) === -1; }).forEach((name) => {
+    STATIC_CHECKED[name] = (...args) => {
+        return toChecked(() => {
+            return File[name](...staticArgs(name, args, null, true));
+        });
+    };
+});
+
+class FileChecked {
+
+    constructor(file) {
+        this.file = file;
+    }
+
+}
+
+Object.keys(INSTANCE_CALLBACKS).filter((name) => { return INSTANCE_ASYNC.indexOf(name) === -1; }).forEach((name) => {
+    let callback = INSTANCE_CALLBACKS[name];
+    FileChecked.prototype[name] = function (...args) {
+        const result = toChecked(() => {
+            if (typeof callback === 'number') {
+                args.length = Math.max(args.length, callback);
+                args.splice(callback, 0, null);
+            } else {
+                args = [Object.assign({}, args[0], { [callback]: null })];
+            }
+            return this.file[name](...args);
+        }, PREDICATES.indexOf(name) !== -1);
+        return CHECKS.indexOf(name) !== -1 ? result === SUCCESS : result;
+    };
+});
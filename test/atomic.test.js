@@ -0,0 +1,46 @@
+/** @babel */
+import assert from "assert";
+import {chmodSync, lstatSync, readdirSync, readFileSync, statSync, symlinkSync, writeFileSync} from "fs";
+import {join} from "path";
+import {File} from "../index";
+import {tempDir} from "./helpers";
+
+describe('atomic writes', () => {
+
+    tempDir();
+
+    beforeEach(function () {
+        this.path = join(this.dir, 'config.json');
+        writeFileSync(this.path, '{}');
+        chmodSync(this.path, 0o640);
+    });
+
+    it('replaces the content and keeps the mode', function () {
+        assert.strictEqual(File.writeAtomic({ src: this.path, buffer: '{"a":1}', sync: true }), 1);
+        assert.strictEqual(readFileSync(this.path, 'utf8'), '{"a":1}');
+        assert.strictEqual(statSync(this.path).mode & 0o777, 0o640);
+        assert.deepStrictEqual(readdirSync(this.dir), ['config.json']);
+    });
+
+    it('writes asynchronously through setContent', async function () {
+        await new File({ path: this.path }).promises.setContent({ buffer: 'new', atomic: true });
+        assert.strictEqual(readFileSync(this.path, 'utf8'), 'new');
+        assert.strictEqual(statSync(this.path).mode & 0o777, 0o640);
+        assert.deepStrictEqual(readdirSync(this.dir), ['config.json']);
+    });
+
+    it('writes through a symlink to its target', async function () {
+        const link = join(this.dir, 'link.json');
+        symlinkSync('config.json', link);
+        await File.promises.writeFile({ src: link, buffer: 'linked', atomic: true });
+        assert.strictEqual(readFileSync(this.path, 'utf8'), 'linked');
+        assert.ok(lstatSync(link).isSymbolicLink());
+        assert.strictEqual(readdirSync(this.dir).sort().join(), 'config.json,link.json');
+    });
+
+    it('creates a missing file with the requested mode', function () {
+        const path = join(this.dir, 'fresh');
+        assert.strictEqual(File.writeFile({ src: path, buffer: 'x', mode: 0o600, atomic: true, sync: true }), 1);
+        assert.strictEqual(statSync(path).mode & 0o777, 0o600);
+    });
+});
@@ -0,0 +1,53 @@
+/** @babel */
+import assert from "assert";
+import {chmodSync, existsSync, lstatSync, mkdirSync, symlinkSync, writeFileSync} from "fs";
+import {join} from "path";
+import {File, FileAttributes} from "../index";
+import {tempDir} from "./helpers";
+
+describe('File#getAttributes', () => {
+
+    tempDir();
+
+    beforeEach(function () {
+        this.path = join(this.dir, 'run.sh');
+        writeFileSync(this.path, 'echo');
+        chmodSync(this.path, 0o4751);
+    });
+
+    it('decodes the type, permission bits and special flags', function () {
+        const attributes = new File({ path: this.path }).getAttributes();
+        assert.ok(attributes instanceof FileAttributes);
+        assert.strictEqual(attributes.type, 'file');
+        assert.deepStrictEqual(attributes.owner, { read: true, write: true, execute: true });
+        assert.deepStrictEqual(attributes.group, { read: true, write: false, execute: true });
+        assert.deepStrictEqual(attributes.others, { read: false, write: false, execute: true });
+        assert.strictEqual(attributes.setuid, true);
+        assert.strictEqual(attributes.sticky, false);
+        assert.strictEqual(attributes.getPermissions(), 0o4751);
+        assert.strictEqual(attributes.toModeString(), '-rwsr-x--x');
+        assert.strictEqual(attributes.inode, lstatSync(this.path).ino);
+    });
+
+    it('describes symlinks and directories like ls -l', async function () {
+        mkdirSync(join(this.dir, 'tmp'));
+        chmodSync(join(this.dir, 'tmp'), 0o1777);
+        symlinkSync('run.sh', join(this.dir, 'link'));
+        const link = await new File({ path: join(this.dir, 'link') }).promises.getAttributes();
+        assert.strictEqual(link.type, 'symlink');
+        assert.ok(/^l[-rwx]{9} 1 \d+ \d+ 6 \w{3} [ \d]\d .* link -> run\.sh$/.test(link.toString()));
+        const dir = new File({ path: join(this.dir, 'tmp') }).getAttributes();
+        assert.strictEqual(dir.type, 'dir');
+        assert.strictEqual(dir.toModeString(), 'drwxrwxrwt');
+    });
+
+    it('reports device numbers', function () {
+        if (!existsSync('/dev/null')) {
+            this.skip();
+        }
+        const attributes = new File({ path: '/dev/null' }).getAttributes();
+        assert.strictEqual(attributes.type, 'char');
+        assert.deepStrictEqual([attributes.getMajor(), attributes.getMinor()], [1, 3]);
+        assert.ok(attributes.toString().indexOf(' 1, 3 ') !== -1);
+    });
+});
@@ -0,0 +1,51 @@
+/** @babel */
+import assert from "assert";
+import {readFileSync, writeFileSync} from "fs";
+import {join} from "path";
+import {gzipSync} from "zlib";
+import {BufferedFileReader, File, FileInputStream} from "../index";
+import {tempDir} from "./helpers";
+
+describe('compression', () => {
+
+    tempDir();
+
+    beforeEach(function () {
+        this.plain = join(this.dir, 'app.log');
+        this.gz = join(this.dir, 'app.log.gz');
+        writeFileSync(this.plain, 'one\ntwo\n');
+        writeFileSync(this.gz, gzipSync('one\ntwo\n'));
+    });
+
+    it('compresses and decompresses through streams', async function () {
+        for (let format of ['gzip', 'deflate', 'brotli']) {
+            const packed = await new File({ path: this.plain }).promises.compress({ format });
+            const restored = join(this.dir, 'restored-' + format);
+            await new File({ path: packed }).promises.decompress({ dst: restored });
+            assert.strictEqual(readFileSync(restored, 'utf8'), 'one\ntwo\n');
+        }
+    });
+
+    it('keeps the getContent result types', async function () {
+        const plain = new File({ path: this.plain });
+        const gz = new File({ path: this.gz });
+        assert.strictEqual(plain.getContent(), 'one\ntwo\n');
+        assert.ok(Buffer.isBuffer(await plain.promises.getContent()));
+        assert.strictEqual(gz.getContent(null, { decompress: true }), 'one\ntwo\n');
+        const inflated = await gz.promises.getContent({ decompress: true });
+        assert.ok(Buffer.isBuffer(inflated));
+        assert.strictEqual(inflated.toString(), 'one\ntwo\n');
+    });
+
+    it('reads compressed lines with BufferedFileReader', function () {
+        const input = new FileInputStream({ path: this.gz });
+        assert.strictEqual(input.open({ windowed: true, pageSize: 4 }), 1);
+        const reader = new BufferedFileReader({ input, size: 3, decompress: true });
+        const lines = [];
+        for (let line = reader.readLine(); line !== null; line = reader.readLine()) {
+            lines.push(line);
+        }
+        reader.close();
+        assert.deepStrictEqual(lines, ['one', 'two']);
+    });
+});
@@ -0,0 +1,53 @@
+/** @babel */
+import assert from "assert";
+import {chmodSync, lstatSync, mkdirSync, readFileSync, readlinkSync, statSync, symlinkSync, utimesSync, writeFileSync} from "fs";
+import {join} from "path";
+import {File, FileExistsError} from "../index";
+import {tempDir} from "./helpers";
+
+describe('File.copy', () => {
+
+    tempDir();
+
+    beforeEach(function () {
+        this.src = join(this.dir, 'src');
+        mkdirSync(join(this.src, 'sub'), { recursive: true });
+        writeFileSync(join(this.src, 'sub', 'run.sh'), '#!/bin/sh\n');
+        chmodSync(join(this.src, 'sub', 'run.sh'), 0o750);
+        utimesSync(join(this.src, 'sub', 'run.sh'), new Date('2020-01-01'), new Date('2020-01-01'));
+        symlinkSync('sub/run.sh', join(this.src, 'link'));
+    });
+
+    it('copies a tree preserving modes, mtimes and symlinks by default', function () {
+        const dst = join(this.dir, 'dst');
+        assert.strictEqual(new File({ path: this.src }).copyTo(dst), 1);
+        const copied = statSync(join(dst, 'sub', 'run.sh'));
+        assert.strictEqual(copied.mode & 0o777, 0o750);
+        assert.strictEqual(copied.mtime.getTime(), new Date('2020-01-01').getTime());
+        assert.strictEqual(readlinkSync(join(dst, 'link')), 'sub/run.sh');
+    });
+
+    it('refuses to overwrite unless asked', async function () {
+        const dst = join(this.dir, 'copy.sh');
+        writeFileSync(dst, 'old');
+        await assert.rejects(File.promises.copy({ src: join(this.src, 'sub', 'run.sh'), dst }), FileExistsError);
+        await File.promises.copy({ src: join(this.src, 'sub', 'run.sh'), dst, overwrite: true });
+        assert.strictEqual(readFileSync(dst, 'utf8'), '#!/bin/sh\n');
+    });
+
+    it('refuses to copy a directory into itself', function () {
+        assert.throws(() => { File.checked.copy({ src: this.src, dst: join(this.src, 'sub', 'x'), recursive: true }); });
+    });
+
+    it('stops at symlink loops when following links', async function () {
+        symlinkSync('..', join(this.src, 'sub', 'loop'));
+        const dst = join(this.dir, 'sync');
+        File.checked.copy({ src: this.src, dst, recursive: true, followSymlinks: true });
+        assert.ok(lstatSync(join(dst, 'link')).isFile());
+        assert.ok(lstatSync(join(dst, 'sub', 'run.sh')).isFile());
+        const async = join(this.dir, 'async');
+        await File.promises.copy({ src: this.src, dst: async, recursive: true, followSymlinks: true });
+        assert.deepStrictEqual(new File({ path: join(async, 'sub') }).list().sort(), ['run.sh']);
+    });
+
+});
@@ -0,0 +1,36 @@
+/** @babel */
+import assert from "assert";
+import {linkSync, mkdirSync, writeFileSync} from "fs";
+import {join} from "path";
+import {File} from "../index";
+import {tempDir} from "./helpers";
+
+describe('File#diskUsage', () => {
+
+    tempDir();
+
+    beforeEach(function () {
+        mkdirSync(join(this.dir, 'big'));
+        writeFileSync(join(this.dir, 'big', 'data'), Buffer.alloc(10000));
+        linkSync(join(this.dir, 'big', 'data'), join(this.dir, 'big', 'link'));
+        writeFileSync(join(this.dir, 'small'), 'abc');
+    });
+
+    it('sums apparent and allocated sizes counting hard links once', async function () {
+        const usage = new File({ path: this.dir }).diskUsage();
+        assert.strictEqual(usage.files, 3);
+        assert.strictEqual(usage.dirs, 2);
+        assert.ok(usage.apparent >= 10003);
+        assert.ok(usage.apparent < 20000);
+        assert.strictEqual(usage.size, usage.allocated);
+        const apparent = await new File({ path: this.dir }).promises.diskUsage({ apparent: true });
+        assert.strictEqual(apparent.size, usage.apparent);
+    });
+
+    it('breaks the total down by child, largest first', function () {
+        const usage = new File({ path: this.dir }).diskUsage({ maxDepth: 1, apparent: true });
+        assert.deepStrictEqual(usage.children.map((child) => { return child.path; }),
+            [join(this.dir, 'big'), join(this.dir, 'small')]);
+        assert.strictEqual(usage.children[1].size, 3);
+    });
+});
@@ -0,0 +1,54 @@
+/** @babel */
+import assert from "assert";
+import {writeFileSync} from "fs";
+import {join} from "path";
+import {ERROR, File, FileExistsError, FileNotFoundError, IllegalArgumentError, NotDirectoryError} from "../index";
+import {tempDir} from "./helpers";
+
+describe('errors', () => {
+
+    tempDir();
+
+    it('throws typed errors from the checked facade', function () {
+        const missing = new File({ path: join(this.dir, 'missing') });
+        assert.throws(() => { missing.checked.list(); }, (err) => {
+            return err instanceof FileNotFoundError && err.code === 'ENOENT' && err.path === missing.getPath() &&
+                typeof err.syscall === 'string';
+        });
+        writeFileSync(join(this.dir, 'file'), '');
+        assert.throws(() => { new File({ path: join(this.dir, 'file') }).checked.createFile(); }, FileExistsError);
+        assert.throws(() => { File.checked.stat({}); }, IllegalArgumentError);
+    });
+
+    it('passes typed errors to callbacks', function (done) {
+        writeFileSync(join(this.dir, 'file'), '');
+        new File({ path: join(this.dir, 'file') }).isDir((code, err) => {
+            assert.strictEqual(code, ERROR);
+            assert.ok(err instanceof NotDirectoryError);
+            done();
+        });
+    });
+
+    it('does not report expected probe failures from checked calls', function () {
+        const file = new File({ path: join(this.dir, 'new') });
+        assert.doesNotThrow(() => { file.checked.createFile(); });
+        assert.strictEqual(file.checked.length(), 0);
+        assert.doesNotThrow(() => { new File({ path: join(this.dir, 'dir') }).checked.createDir(); });
+    });
+
+    it('deprecates File.exception()', function () {
+        const warnings = [];
+        const emitWarning = process.emitWarning;
+        process.emitWarning = (message, type) => { warnings.push({ message, type }); };
+        try {
+            new File({ path: join(this.dir, 'missing') }).list();
+            assert.ok(File.exception() instanceof FileNotFoundError);
+            File.exception();
+        } finally {
+            process.emitWarning = emitWarning;
+        }
+        assert.strictEqual(warnings.length, 1);
+        assert.strictEqual(warnings[0].type, 'DeprecationWarning');
+    });
+
+});
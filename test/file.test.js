@@ -0,0 +1,120 @@
+/** @babel */
+import assert from "assert";
+import {mkdirSync, readFileSync, statSync, writeFileSync} from "fs";
+import {join} from "path";
+import {ERROR, File, FILE, FileExistsError, FileNotFoundError, NotFileError, SUCCESS} from "../index";
+import {tempDir} from "./helpers";
+
+describe('File basic calls', () => {
+
+    tempDir();
+
+    beforeEach(function () {
+        this.file = new File({ path: join(this.dir, 'data.txt') });
+        writeFileSync(this.file.path, 'hello');
+    });
+
+    it('creates missing directories and refuses existing ones', function () {
+        const cwd = process.cwd();
+        process.chdir(this.dir);
+        try {
+            const dirs = new File({ path: join('a', 'b') });
+            assert.strictEqual(dirs.createDirs(), SUCCESS);
+            assert.ok(statSync(join(this.dir, 'a', 'b')).isDirectory());
+            assert.strictEqual(dirs.createDirs(), ERROR);
+        } finally {
+            process.chdir(cwd);
+        }
+    });
+
+    it('returns the folder made by createTempDir', function (done) {
+        const folder = File.createTempDir({ prefix: join(this.dir, 'tmp-'), sync: true });
+        assert.ok(statSync(folder).isDirectory());
+        const dir = new File({ path: join(this.dir, 'work-') });
+        assert.notStrictEqual(dir.createDirTmp(), ERROR);
+        assert.ok(dir.path.indexOf(join(this.dir, 'work-')) === 0 && statSync(dir.path).isDirectory());
+        File.createTempDir({
+            prefix: join(this.dir, 'async-'),
+            onAccess: (code, folder) => {
+                assert.strictEqual(code, SUCCESS);
+                assert.ok(statSync(folder).isDirectory());
+                done();
+            }
+        });
+    });
+
+    it('writes the given data with appendFile and writeFile', function (done) {
+        File.appendFile({
+            src: this.file.path,
+            data: ' world',
+            onData: (code) => {
+                assert.strictEqual(code, SUCCESS);
+                assert.strictEqual(readFileSync(this.file.path, 'utf8'), 'hello world');
+                File.writeFile({
+                    src: this.file.path,
+                    buffer: 'bye',
+                    onWrite: (code) => {
+                        assert.strictEqual(code, SUCCESS);
+                        assert.strictEqual(readFileSync(this.file.path, 'utf8'), 'bye');
+                        done();
+                    }
+                });
+            }
+        });
+    });
+
+    it('reads and writes an existing file synchronously', function () {
+        const buffer = Buffer.alloc(5);
+        assert.strictEqual(this.file.read({ buffer }), 5);
+        assert.strictEqual(buffer.toString(), 'hello');
+        assert.strictEqual(this.file.write({ buffer: Buffer.from('J') }), 1);
+        assert.strictEqual(readFileSync(this.file.path, 'utf8'), 'Jello');
+        assert.strictEqual(new File({ path: this.dir }).read({ buffer }), ERROR);
+        assert.throws(() => { new File({ path: this.dir }).checked.read({ buffer }); }, NotFileError);
+    });
+
+    it('overwrites an existing file with setContent', function () {
+        assert.strictEqual(this.file.setContent({ buffer: 'new' }), SUCCESS);
+        assert.strictEqual(readFileSync(this.file.path, 'utf8'), 'new');
+        assert.strictEqual(new File({ path: this.dir }).setContent({ buffer: 'new' }), ERROR);
+    });
+
+    it('only destroys the requested kind of entry', function () {
+        const dir = join(this.dir, 'keep');
+        mkdirSync(dir);
+        assert.strictEqual(new File({ path: dir }).safeDestroy(FILE), ERROR);
+        assert.ok(statSync(dir).isDirectory());
+        assert.strictEqual(this.file.safeDestroy(FILE), SUCCESS);
+    });
+
+    it('reports asynchronous chmod and mkdir failures to the callback', function (done) {
+        File.chmod({
+            src: join(this.dir, 'missing'),
+            mode: 0o600,
+            onAccess: (code, err) => {
+                assert.strictEqual(code, ERROR);
+                assert.ok(err instanceof FileNotFoundError);
+                File.mkdir({
+                    src: this.dir,
+                    onCreate: (code, err) => {
+                        assert.strictEqual(code, ERROR);
+                        assert.ok(err instanceof FileExistsError);
+                        done();
+                    }
+                });
+            }
+        });
+    });
+
+    it('does not log failing opens', function () {
+        const log = console.log;
+        const logged = [];
+        console.log = (...args) => { logged.push(args); };
+        try {
+            assert.strictEqual(File.openFd({ src: join(this.dir, 'missing'), sync: true }), ERROR);
+        } finally {
+            console.log = log;
+        }
+        assert.deepStrictEqual(logged, []);
+    });
+});
@@ -0,0 +1,34 @@
+/** @babel */
+import assert from "assert";
+import {mkdirSync, writeFileSync} from "fs";
+import {join, relative} from "path";
+import {File} from "../index";
+import {tempDir} from "./helpers";
+
+describe('File.glob', () => {
+
+    tempDir();
+
+    beforeEach(function () {
+        mkdirSync(join(this.dir, 'lib', 'sub'), { recursive: true });
+        writeFileSync(join(this.dir, 'lib', 'a.js'), '');
+        writeFileSync(join(this.dir, 'lib', 'b.txt'), '');
+        writeFileSync(join(this.dir, 'lib', 'sub', 'c.js'), '');
+    });
+
+    it('matches with an absolute cwd', function () {
+        const paths = File.globSync('**/*.js', { cwd: join(this.dir, 'lib') }).map((file) => { return file.path; });
+        assert.deepStrictEqual(paths.sort(), [join(this.dir, 'lib', 'a.js'), join(this.dir, 'lib', 'sub', 'c.js')]);
+    });
+
+    it('matches with a relative cwd and keeps paths relative', async function () {
+        const cwd = relative(process.cwd(), join(this.dir, 'lib'));
+        const sync = File.globSync('*.js', { cwd }).map((file) => { return file.path; });
+        assert.deepStrictEqual(sync, [join(cwd, 'a.js')]);
+        const async = [];
+        for await (let file of File.glob('sub/*.js', { cwd })) {
+            async.push(file.path);
+        }
+        assert.deepStrictEqual(async, [join(cwd, 'sub', 'c.js')]);
+    });
+});
@@ -0,0 +1,17 @@
+/** @babel */
+import {mkdtempSync, rmSync} from "fs";
+import {join} from "path";
+import {tmpdir} from "os";
+
+export const tempDir = () => {
+    const dirs = [];
+    beforeEach(function () {
+        this.dir = mkdtempSync(join(tmpdir(), 'hjs-file-test-'));
+        dirs.push(this.dir);
+    });
+    afterEach(() => {
+        while (dirs.length > 0) {
+            rmSync(dirs.pop(), { recursive: true, force: true });
+        }
+    });
+};
@@ -0,0 +1,76 @@
+/** @babel */
+import assert from "assert";
+import {writeFileSync} from "fs";
+import {join} from "path";
+import {ERROR, FileInputStream, SUCCESS} from "../index";
+import {tempDir} from "./helpers";
+
+const open = (stream, options) => {
+    return new Promise((resolve, reject) => {
+        stream.open({ ...options, onReadable: (err) => { err ? reject(err) : resolve(); } });
+    });
+};
+
+describe('FileInputStream', () => {
+
+    tempDir();
+
+    beforeEach(function () {
+        this.path = join(this.dir, 'data.bin');
+        writeFileSync(this.path, 'abcdef');
+    });
+
+    it('reads a range in memory and in windows', async function () {
+        const memory = new FileInputStream({ path: this.path });
+        await open(memory, { offset: 1, length: 3 });
+        assert.strictEqual(memory.available(), 3);
+        assert.strictEqual(String.fromCharCode(memory.read()), 'b');
+        const windowed = new FileInputStream({ path: this.path });
+        assert.strictEqual(windowed.open({ windowed: true, pageSize: 2 }), 1);
+        const buf = Buffer.alloc(6);
+        assert.strictEqual(windowed.read(buf), 6);
+        assert.strictEqual(buf.toString(), 'abcdef');
+        windowed.close();
+    });
+
+    it('opens synchronously without onReadable', function () {
+        const stream = new FileInputStream({ path: this.path });
+        assert.strictEqual(stream.open({ offset: 2 }), SUCCESS);
+        assert.strictEqual(stream.available(), 4);
+        assert.strictEqual(String.fromCharCode(stream.read()), 'c');
+        stream.close();
+        const missing = new FileInputStream({ path: join(this.dir, 'missing.bin') });
+        assert.strictEqual(missing.open(), ERROR);
+        assert.strictEqual(missing.available(), 0);
+    });
+
+    it('reads into the rest of a buffer from an offset and honours a zero length', function () {
+        const stream = new FileInputStream({ path: this.path });
+        assert.strictEqual(stream.open(), SUCCESS);
+        const buf = Buffer.alloc(4, '.');
+        assert.strictEqual(stream.read(buf, 0, 0), 0);
+        assert.strictEqual(stream.available(), 6);
+        assert.strictEqual(stream.read(buf, 1), 3);
+        assert.strictEqual(buf.toString(), '.abc');
+        assert.strictEqual(stream.read(buf, 2, 1), 1);
+        assert.strictEqual(buf.toString(), '.adc');
+        assert.throws(() => { stream.read(buf, 5); }, RangeError);
+        stream.close();
+    });
+
+    it('accepts the deprecated blocking option with a warning', async function () {
+        const warnings = [];
+        const emitWarning = process.emitWarning;
+        process.emitWarning = (message, type) => { warnings.push({ message, type }); };
+        try {
+            const stream = new FileInputStream({ path: this.path });
+            await open(stream, { blocking: false });
+            assert.strictEqual(stream.available(), 6);
+            await open(new FileInputStream({ path: this.path }), { blocking: true });
+        } finally {
+            process.emitWarning = emitWarning;
+        }
+        assert.strictEqual(warnings.length, 1);
+        assert.strictEqual(warnings[0].type, 'DeprecationWarning');
+    });
+});
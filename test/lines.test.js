@@ -0,0 +1,47 @@
+/** @babel */
+import assert from "assert";
+import {writeFileSync} from "fs";
+import {join} from "path";
+import {BufferedFileReader, File, FileInputStream} from "../index";
+import {tempDir} from "./helpers";
+
+const TEXT = 'one\r\ntwo\rthré€\n\nlast';
+const LINES = ['one', 'two', 'thré€', '', 'last'];
+
+describe('line reading', () => {
+
+    tempDir();
+
+    beforeEach(function () {
+        this.path = join(this.dir, 'lines.txt');
+        writeFileSync(this.path, TEXT);
+    });
+
+    it('reads every kind of line ending with File#readLines', async function () {
+        const lines = [];
+        for await (let line of new File({ path: this.path }).readLines()) {
+            lines.push(line);
+        }
+        assert.deepStrictEqual(lines, LINES);
+    });
+
+    it('honours from and limit', async function () {
+        const lines = [];
+        for await (let line of new File({ path: this.path }).readLines({ from: 1, limit: 2 })) {
+            lines.push(line);
+        }
+        assert.deepStrictEqual(lines, ['two', 'thré€']);
+    });
+
+    it('keeps multi-byte characters split across reads with BufferedFileReader', function () {
+        const input = new FileInputStream({ path: this.path });
+        assert.strictEqual(input.open({ windowed: true, pageSize: 1 }), 1);
+        const reader = new BufferedFileReader({ input, size: 1 });
+        const lines = [];
+        for (let line = reader.readLine(); line !== null; line = reader.readLine()) {
+            lines.push(line);
+        }
+        reader.close();
+        assert.deepStrictEqual(lines, LINES);
+    });
+});
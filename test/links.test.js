@@ -0,0 +1,70 @@
+/** @babel */
+import assert from "assert";
+import {mkdirSync, readFileSync, realpathSync, statSync, symlinkSync, writeFileSync} from "fs";
+import {join} from "path";
+import {File, FileError, IllegalArgumentError, SUCCESS} from "../index";
+import {tempDir} from "./helpers";
+
+describe('File links', () => {
+
+    tempDir();
+
+    beforeEach(function () {
+        this.dir = realpathSync(this.dir);
+        this.file = new File({ path: join(this.dir, 'data.txt') });
+        writeFileSync(this.file.path, 'data');
+    });
+
+    it('creates hard links', async function () {
+        assert.strictEqual(this.file.alias(join(this.dir, 'alias.txt')), SUCCESS);
+        await File.promises.link({ src: this.file.path, dst: join(this.dir, 'link.txt') });
+        assert.strictEqual(statSync(this.file.path).nlink, 3);
+        assert.strictEqual(readFileSync(join(this.dir, 'link.txt'), 'utf8'), 'data');
+    });
+
+    it('creates, reads and detects symlinks', async function () {
+        const link = new File({ path: join(this.dir, 'current') });
+        assert.strictEqual(link.createSymlink('data.txt'), SUCCESS);
+        assert.strictEqual(link.isSymbolicLink(), true);
+        assert.strictEqual(this.file.isSymbolicLink(), false);
+        assert.strictEqual(await link.promises.isSymbolicLink(), true);
+        assert.strictEqual(await this.file.promises.isSymbolicLink(), false);
+        assert.strictEqual(link.readLink(), 'data.txt');
+        assert.strictEqual(File.lstat({ src: link.path, sync: true }).isSymbolicLink(), true);
+        assert.strictEqual(File.stat({ src: link.path, sync: true }).isFile(), true);
+        assert.throws(() => { File.checked.symlink({ dst: link.path }); }, IllegalArgumentError);
+    });
+
+    it('resolves link chains', async function () {
+        symlinkSync('data.txt', join(this.dir, 'a'));
+        symlinkSync(join(this.dir, 'a'), join(this.dir, 'b'));
+        symlinkSync('missing.txt', join(this.dir, 'dangling'));
+        const b = new File({ path: join(this.dir, 'b') });
+        assert.strictEqual(b.resolveLinks(), this.file.path);
+        assert.strictEqual(await b.promises.resolveLinks(), this.file.path);
+        assert.strictEqual(this.file.resolveLinks(), this.file.path);
+        assert.strictEqual(new File({ path: join(this.dir, 'dangling') }).resolveLinks(), join(this.dir, 'missing.txt'));
+        assert.throws(() => { b.checked.resolveLinks({ maxDepth: 1 }); }, (err) => { return err.code === 'ELOOP'; });
+    });
+
+    it('resolves relative targets from the real directory of a link', function () {
+        mkdirSync(join(this.dir, 'releases', '42'), { recursive: true });
+        writeFileSync(join(this.dir, 'releases', 'shared.txt'), 'shared');
+        symlinkSync(join('releases', '42'), join(this.dir, 'current'));
+        symlinkSync(join('..', 'shared.txt'), join(this.dir, 'releases', '42', 'shared'));
+        const shared = new File({ path: join(this.dir, 'current', 'shared') });
+        assert.strictEqual(shared.resolveLinks(), join(this.dir, 'releases', 'shared.txt'));
+    });
+
+    it('fails with ELOOP on cycles', function (done) {
+        symlinkSync('y', join(this.dir, 'x'));
+        symlinkSync('x', join(this.dir, 'y'));
+        new File({ path: join(this.dir, 'x') }).resolveLinks({
+            onResolve: (code, err) => {
+                assert.ok(err instanceof FileError);
+                assert.strictEqual(err.code, 'ELOOP');
+                done();
+            }
+        });
+    });
+});
@@ -0,0 +1,120 @@
+/** @babel */
+import assert from "assert";
+import {spawnSync} from "child_process";
+import {existsSync, readFileSync, readdirSync, statSync, unlinkSync, utimesSync, writeFileSync} from "fs";
+import {hostname} from "os";
+import {join, resolve} from "path";
+import {ERROR, File, LockError, SUCCESS} from "../index";
+import {tempDir} from "./helpers";
+
+describe('File#lock', () => {
+
+    tempDir();
+
+    beforeEach(function () {
+        this.path = join(this.dir, 'data.db');
+        writeFileSync(this.path, '');
+    });
+
+    it('excludes a second holder until release', async function () {
+        const first = new File({ path: this.path });
+        const second = new File({ path: this.path });
+        assert.strictEqual(first.lock(), 1);
+        await assert.rejects(second.promises.lock(), LockError);
+        setTimeout(() => { first.release(); }, 50);
+        await second.promises.lock({ timeout: 2000, retryInterval: 20 });
+        second.release();
+        assert.deepStrictEqual(readdirSync(this.dir), ['data.db']);
+    });
+
+    it('waits for a busy guard without blocking the event loop', async function () {
+        const guard = this.path + '.lock';
+        writeFileSync(guard, JSON.stringify({ pid: process.pid, host: hostname(), exclusive: false }));
+        let ticks = 0;
+        const timer = setInterval(() => { ticks++; }, 1);
+        setTimeout(() => { unlinkSync(guard); }, 20);
+        const file = new File({ path: this.path });
+        try {
+            await file.promises.lock({ exclusive: false });
+        } finally {
+            clearInterval(timer);
+        }
+        assert.ok(ticks > 0);
+        file.release();
+    });
+
+    it('takes over an aged lock from another host but not from a live local process', function () {
+        const guard = this.path + '.lock';
+        const past = new Date(Date.now() - 60000);
+        writeFileSync(guard, JSON.stringify({ pid: process.ppid, host: hostname(), exclusive: true }));
+        utimesSync(guard, past, past);
+        const file = new File({ path: this.path });
+        assert.strictEqual(file.tryLock({ staleAfter: 1000 }), ERROR);
+        writeFileSync(guard, JSON.stringify({ pid: 1, host: 'elsewhere.invalid', exclusive: true }));
+        utimesSync(guard, past, past);
+        assert.strictEqual(file.tryLock(), ERROR);
+        assert.strictEqual(file.tryLock({ staleAfter: 1000 }), SUCCESS);
+        assert.strictEqual(JSON.parse(readFileSync(guard, 'utf8')).pid, process.pid);
+        assert.strictEqual(file.release(), SUCCESS);
+        assert.ok(!existsSync(guard));
+    });
+
+    it('keeps a held lock fresh while staleAfter applies', function (done) {
+        const guard = this.path + '.lock';
+        const file = new File({ path: this.path });
+        assert.strictEqual(file.lock({ staleAfter: 40 }), SUCCESS);
+        const past = new Date(Date.now() - 60000);
+        utimesSync(guard, past, past);
+        setTimeout(() => {
+            assert.ok(Date.now() - statSync(guard).mtime.getTime() < 1000);
+            file.release();
+            done();
+        }, 100);
+    });
+
+    it('does not remove a lock another process took over', function (done) {
+        const guard = this.path + '.lock';
+        const first = new File({ path: this.path });
+        const second = new File({ path: this.path });
+        const other = JSON.stringify({ pid: 1, host: 'elsewhere.invalid', exclusive: true, token: 'other' });
+        assert.strictEqual(first.lock(), SUCCESS);
+        writeFileSync(guard, other);
+        assert.strictEqual(first.release(), ERROR);
+        assert.strictEqual(readFileSync(guard, 'utf8'), other);
+        unlinkSync(guard);
+        assert.strictEqual(second.lock(), SUCCESS);
+        writeFileSync(guard, other);
+        second.release((code, err) => {
+            assert.strictEqual(code, ERROR);
+            assert.ok(err instanceof LockError);
+            assert.strictEqual(err.owner.token, 'other');
+            assert.strictEqual(readFileSync(guard, 'utf8'), other);
+            done();
+        });
+    });
+
+    it('registers exit and signal handlers only while locks are held', function () {
+        const counts = () => {
+            return ['exit', 'SIGINT', 'SIGTERM'].map((event) => { return process.listenerCount(event); });
+        };
+        const before = counts();
+        const file = new File({ path: this.path });
+        assert.strictEqual(file.lock(), 1);
+        assert.deepStrictEqual(counts(), before.map((count) => { return count + 1; }));
+        file.release();
+        assert.deepStrictEqual(counts(), before);
+    });
+
+    it('releases held locks when terminated by a signal', function () {
+        const script = "const { File } = require(" + JSON.stringify(resolve(__dirname, '..', 'index')) + ");" +
+            "new File({ path: " + JSON.stringify(this.path) + " }).lock();" +
+            "process.kill(process.pid, 'SIGTERM');" +
+            "setTimeout(() => {}, 5000);";
+        const child = spawnSync(process.execPath, ['-r', '@babel/register', '-e', script], {
+            cwd: resolve(__dirname, '..'),
+            timeout: 20000
+        });
+        assert.strictEqual(child.signal, 'SIGTERM');
+        assert.ok(!existsSync(this.path + '.lock'));
+    });
+});
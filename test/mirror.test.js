@@ -0,0 +1,62 @@
+/** @babel */
+import assert from "assert";
+import {existsSync, mkdirSync, readFileSync, statSync, utimesSync, writeFileSync} from "fs";
+import {join} from "path";
+import {File, IllegalArgumentError} from "../index";
+import {tempDir} from "./helpers";
+
+const paths = (entries) => { return entries.map((entry) => { return entry.path; }).sort(); };
+
+describe('File.diffTrees and File.mirror', () => {
+
+    tempDir();
+
+    beforeEach(function () {
+        this.a = join(this.dir, 'a');
+        this.b = join(this.dir, 'b');
+        mkdirSync(join(this.a, 'sub'), { recursive: true });
+        mkdirSync(join(this.b, 'x'), { recursive: true });
+        writeFileSync(join(this.a, 'x'), 'x');
+        writeFileSync(join(this.a, 'same'), 'same');
+        writeFileSync(join(this.a, 'sub', 'y'), 'y');
+        writeFileSync(join(this.b, 'same'), 'diff');
+        writeFileSync(join(this.b, 'z'), 'z');
+    });
+
+    it('lists added, removed, modified and type-changed entries', function () {
+        const diff = File.diffTrees(this.a, this.b, { compare: 'hash', sync: true });
+        assert.deepStrictEqual(paths(diff.added), ['z']);
+        assert.deepStrictEqual(paths(diff.removed), ['sub', join('sub', 'y')]);
+        assert.deepStrictEqual(paths(diff.modified), ['same']);
+        assert.deepStrictEqual(paths(diff.typeChanged), ['x']);
+    });
+
+    it('reports a plan without touching anything on dryRun', async function () {
+        const report = await File.promises.mirror(this.a, this.b, { delete: true, dryRun: true, compare: 'hash' });
+        assert.deepStrictEqual(report.removed, ['z']);
+        assert.ok(existsSync(join(this.b, 'z')));
+        assert.strictEqual(readFileSync(join(this.b, 'same'), 'utf8'), 'diff');
+    });
+
+    it('makes the destination match and keeps extras unless delete is set', function () {
+        File.mirror(this.a, this.b, { compare: 'hash', sync: true });
+        assert.ok(existsSync(join(this.b, 'z')));
+        File.mirror(this.a, this.b, { delete: true, compare: 'hash', sync: true });
+        const diff = File.diffTrees(this.a, this.b, { compare: 'hash', sync: true });
+        assert.deepStrictEqual([diff.added, diff.removed, diff.modified, diff.typeChanged], [[], [], [], []]);
+        assert.strictEqual(readFileSync(join(this.b, 'x'), 'utf8'), 'x');
+    });
+
+    it('only updates times when the content already matches', function () {
+        writeFileSync(join(this.b, 'same'), 'same');
+        utimesSync(join(this.a, 'same'), new Date('2020-01-01'), new Date('2020-01-01'));
+        const report = File.mirror(this.a, this.b, { compare: 'hash', sync: true });
+        assert.deepStrictEqual(report.updated, ['same']);
+        assert.strictEqual(report.copied.indexOf('same'), -1);
+        assert.strictEqual(statSync(join(this.b, 'same')).mtime.getTime(), new Date('2020-01-01').getTime());
+    });
+
+    it('refuses to mirror a tree into itself', function () {
+        assert.throws(() => { File.checked.mirror(this.a, join(this.a, 'sub')); }, IllegalArgumentError);
+    });
+});
@@ -0,0 +1,141 @@
+/** @babel */
+import assert from "assert";
+import fs, {existsSync, mkdirSync, mkdtempSync, readdirSync, readFileSync, rmSync, statSync, writeFileSync} from "fs";
+import {join} from "path";
+import {File, FileExistsError, MoveError} from "../index";
+import {tempDir} from "./helpers";
+
+const OTHER_DEVICE = '/dev/shm';
+
+// copies like fs does but flips the first byte, so sizes still match
+const corruptingCopies = () => {
+    const { copyFile, copyFileSync } = fs;
+    const corrupt = (dst) => {
+        const data = readFileSync(dst);
+        data[0] ^= 0xff;
+        writeFileSync(dst, data);
+    };
+    fs.copyFileSync = (src, dst, mode) => {
+        copyFileSync(src, dst, mode);
+        corrupt(dst);
+    };
+    fs.copyFile = (src, dst, mode, cb) => {
+        copyFile(src, dst, mode, (err) => {
+            if (!err) {
+                corrupt(dst);
+            }
+            cb(err);
+        });
+    };
+    return () => {
+        fs.copyFile = copyFile;
+        fs.copyFileSync = copyFileSync;
+    };
+};
+
+describe('File.move', () => {
+
+    tempDir();
+
+    beforeEach(function () {
+        this.src = join(this.dir, 'src');
+        mkdirSync(join(this.src, 'sub'), { recursive: true });
+        writeFileSync(join(this.src, 'sub', 'a.txt'), 'a');
+    });
+
+    it('renames within a filesystem', function () {
+        const dst = join(this.dir, 'dst');
+        assert.strictEqual(new File({ path: this.src }).moveTo(dst), 1);
+        assert.ok(!existsSync(this.src));
+        assert.strictEqual(readFileSync(join(dst, 'sub', 'a.txt'), 'utf8'), 'a');
+    });
+
+    it('refuses an existing destination unless overwrite is set', async function () {
+        mkdirSync(join(this.dir, 'dst'));
+        await assert.rejects(File.promises.move({ src: this.src, dst: join(this.dir, 'dst') }), FileExistsError);
+    });
+
+    describe('across devices', () => {
+
+        beforeEach(function () {
+            if (!existsSync(OTHER_DEVICE) || statSync(OTHER_DEVICE).dev === statSync(this.dir).dev) {
+                this.skip();
+            }
+            this.other = mkdtempSync(join(OTHER_DEVICE, 'hjs-file-test-'));
+        });
+
+        afterEach(function () {
+            if (this.other) {
+                rmSync(this.other, { recursive: true, force: true });
+            }
+        });
+
+        it('falls back to copy and remove', async function () {
+            const dst = join(this.other, 'dst');
+            await File.promises.move({ src: this.src, dst });
+            assert.ok(!existsSync(this.src));
+            assert.strictEqual(readFileSync(join(dst, 'sub', 'a.txt'), 'utf8'), 'a');
+        });
+
+        it('replaces an empty destination directory like rename', function () {
+            const dst = join(this.other, 'dst');
+            mkdirSync(dst);
+            File.checked.move({ src: this.src, dst, overwrite: true });
+            assert.strictEqual(readFileSync(join(dst, 'sub', 'a.txt'), 'utf8'), 'a');
+        });
+
+        it('does not merge into a non-empty destination directory', async function () {
+            const dst = join(this.other, 'dst');
+            mkdirSync(dst);
+            writeFileSync(join(dst, 'stale.txt'), 'stale');
+            assert.throws(() => { File.checked.move({ src: this.src, dst, overwrite: true }); },
+                (err) => { return err.code === 'ENOTEMPTY'; });
+            await assert.rejects(File.promises.move({ src: this.src, dst, overwrite: true }),
+                (err) => { return err.code === 'ENOTEMPTY'; });
+            assert.ok(existsSync(join(this.src, 'sub', 'a.txt')));
+            assert.ok(!existsSync(join(dst, 'sub')));
+        });
+
+        it('keeps the source when the copied content differs', async function () {
+            const dst = join(this.other, 'dst');
+            const restore = corruptingCopies();
+            try {
+                assert.throws(() => { File.checked.move({ src: this.src, dst }); },
+                    (err) => { return err instanceof MoveError && err.stage === 'verify'; });
+                await assert.rejects(File.promises.move({ src: this.src, dst }),
+                    (err) => { return err instanceof MoveError && err.stage === 'verify'; });
+            } finally {
+                restore();
+            }
+            assert.strictEqual(readFileSync(join(this.src, 'sub', 'a.txt'), 'utf8'), 'a');
+            assert.ok(!existsSync(dst));
+        });
+
+        it('replaces an existing file only with a verified copy', async function () {
+            const src = join(this.src, 'sub', 'a.txt');
+            const dst = join(this.other, 'a.txt');
+            writeFileSync(dst, 'old');
+            const restore = corruptingCopies();
+            try {
+                assert.throws(() => { File.checked.move({ src, dst, overwrite: true }); }, MoveError);
+                await assert.rejects(File.promises.move({ src, dst, overwrite: true }), MoveError);
+            } finally {
+                restore();
+            }
+            assert.strictEqual(readFileSync(dst, 'utf8'), 'old');
+            assert.deepStrictEqual(readdirSync(this.other), ['a.txt']);
+            await File.promises.move({ src, dst, overwrite: true });
+            assert.strictEqual(readFileSync(dst, 'utf8'), 'a');
+            assert.ok(!existsSync(src));
+        });
+
+        it('does not replace a file with a directory', function () {
+            const dst = join(this.other, 'file');
+            writeFileSync(dst, 'x');
+            assert.throws(() => { File.checked.move({ src: this.src, dst, overwrite: true }); },
+                (err) => { return err.code === 'ENOTDIR'; });
+        });
+
+    });
+
+});
@@ -0,0 +1,103 @@
+/** @babel */
+import assert from "assert";
+import {closeSync, existsSync, lstatSync, mkdirSync, openSync, readFileSync, statSync, symlinkSync, writeFileSync} from "fs";
+import {join} from "path";
+import {File, IllegalArgumentError, SUCCESS} from "../index";
+import {tempDir} from "./helpers";
+
+const accountName = (path, id) => {
+    if (!existsSync(path)) {
+        return null;
+    }
+    const line = readFileSync(path, 'utf8').split('\n').find((entry) => { return entry.split(':')[2] === String(id); });
+    return line ? line.split(':')[0] : null;
+};
+
+describe('File ownership', () => {
+
+    tempDir();
+
+    beforeEach(function () {
+        this.file = new File({ path: join(this.dir, 'data.txt') });
+        writeFileSync(this.file.path, 'data');
+    });
+
+    it('resolves the owner names', async function () {
+        const stats = statSync(this.file.path);
+        const owner = this.file.getOwner();
+        assert.deepStrictEqual(owner, {
+            uid: stats.uid,
+            gid: stats.gid,
+            user: accountName('/etc/passwd', stats.uid),
+            group: accountName('/etc/group', stats.gid)
+        });
+        assert.deepStrictEqual(await this.file.promises.getOwner(), owner);
+    });
+
+    it('throws a failing callback as an uncaught exception', async function () {
+        const listeners = process.listeners('uncaughtException');
+        process.removeAllListeners('uncaughtException');
+        const rejected = [];
+        const onRejection = (reason) => { rejected.push(reason); };
+        process.on('unhandledRejection', onRejection);
+        try {
+            const thrown = await new Promise((resolve) => {
+                process.once('uncaughtException', resolve);
+                this.file.getOwner(() => { throw new Error('boom'); });
+            });
+            assert.strictEqual(thrown.message, 'boom');
+            await new Promise((resolve) => { setImmediate(resolve); });
+            assert.deepStrictEqual(rejected, []);
+        } finally {
+            process.removeListener('unhandledRejection', onRejection);
+            listeners.forEach((listener) => { process.on('uncaughtException', listener); });
+        }
+    });
+
+    describe('as root', () => {
+
+        beforeEach(function () {
+            if (typeof process.getuid !== 'function' || process.getuid() !== 0) {
+                this.skip();
+            }
+        });
+
+        it('changes ids with chown, lchown and fchown', async function () {
+            assert.strictEqual(File.chown({ src: this.file.path, uid: 1234, sync: true }), SUCCESS);
+            assert.deepStrictEqual([statSync(this.file.path).uid, statSync(this.file.path).gid], [1234, 0]);
+            const link = join(this.dir, 'link');
+            symlinkSync(this.file.path, link);
+            await File.promises.lchown({ src: link, uid: 4321, gid: 4321 });
+            assert.strictEqual(lstatSync(link).uid, 4321);
+            assert.strictEqual(statSync(this.file.path).uid, 1234);
+            const fd = openSync(this.file.path, 'r');
+            try {
+                assert.strictEqual(File.fchown({ fd, uid: -1, gid: 99, sync: true }), SUCCESS);
+            } finally {
+                closeSync(fd);
+            }
+            assert.deepStrictEqual([statSync(this.file.path).uid, statSync(this.file.path).gid], [1234, 99]);
+        });
+
+        it('changes a tree recursively without following symlinks', async function () {
+            const dir = join(this.dir, 'tree');
+            mkdirSync(join(dir, 'sub'), { recursive: true });
+            writeFileSync(join(dir, 'sub', 'a.txt'), 'a');
+            symlinkSync(this.file.path, join(dir, 'link'));
+            await new File({ path: dir }).promises.setOwner({ uid: 1000, gid: '1000', recursive: true });
+            assert.strictEqual(statSync(join(dir, 'sub', 'a.txt')).uid, 1000);
+            assert.strictEqual(lstatSync(join(dir, 'link')).gid, 1000);
+            assert.strictEqual(statSync(this.file.path).uid, 0);
+        });
+
+        it('looks up user names and rejects unknown ones', function () {
+            const name = accountName('/etc/passwd', 0);
+            if (name !== null) {
+                assert.strictEqual(this.file.setOwner({ uid: name }), SUCCESS);
+            }
+            assert.throws(() => {
+                this.file.checked.setOwner({ uid: 'no-such-user-hjs' });
+            }, IllegalArgumentError);
+        });
+    });
+});
@@ -0,0 +1,82 @@
+/** @babel */
+import assert from "assert";
+import {chmodSync, mkdirSync, statSync, symlinkSync, writeFileSync} from "fs";
+import {join} from "path";
+import {ERROR, File, IllegalArgumentError, PosixFilePermissions, SUCCESS} from "../index";
+import {tempDir} from "./helpers";
+
+const modeOf = (path) => { return statSync(path).mode & 0o7777; };
+
+describe('PosixFilePermissions', () => {
+
+    it('parses and formats rwx strings', () => {
+        assert.strictEqual(PosixFilePermissions.parse('rwxr-x---'), 0o750);
+        assert.strictEqual(PosixFilePermissions.parse('-rwsr-xr-x'), 0o4755);
+        assert.strictEqual(PosixFilePermissions.parse('rw-r--r-T'), 0o1644);
+        assert.strictEqual(PosixFilePermissions.parse('644'), 0o644);
+        assert.strictEqual(PosixFilePermissions.format(0o4755), 'rwsr-xr-x');
+        assert.strictEqual(PosixFilePermissions.format(0o2640), 'rw-r-S---');
+        assert.throws(() => { PosixFilePermissions.parse('rwxr-x'); }, IllegalArgumentError);
+    });
+
+    it('applies symbolic expressions relative to a mode', () => {
+        assert.strictEqual(PosixFilePermissions.applySymbolic(0o644, 'u+x,go-w'), 0o744);
+        assert.strictEqual(PosixFilePermissions.applySymbolic(0o640, 'o=g'), 0o644);
+        assert.strictEqual(PosixFilePermissions.applySymbolic(0o777, 'a-w+t'), 0o1555);
+        assert.strictEqual(PosixFilePermissions.applySymbolic(0o644, 'a+X'), 0o644);
+        assert.strictEqual(PosixFilePermissions.applySymbolic(0o644, 'a+X', true), 0o755);
+        assert.strictEqual(PosixFilePermissions.applySymbolic(0o755, 'u+s,g=rx'), 0o4755);
+        assert.throws(() => { PosixFilePermissions.applySymbolic(0o644, 'u+q'); }, IllegalArgumentError);
+    });
+});
+
+describe('File#setPermissions', () => {
+
+    tempDir();
+
+    beforeEach(function () {
+        this.file = new File({ path: join(this.dir, 'run.sh') });
+        writeFileSync(this.file.path, 'echo');
+        chmodSync(this.file.path, 0o640);
+    });
+
+    it('only touches the requested bits', function () {
+        assert.strictEqual(this.file.setExecutable(), SUCCESS);
+        assert.strictEqual(modeOf(this.file.path), 0o740);
+        this.file.setReadable(true, false);
+        assert.strictEqual(modeOf(this.file.path), 0o744);
+        this.file.setWritable(false);
+        assert.strictEqual(modeOf(this.file.path), 0o544);
+        this.file.setPermissions(0o600);
+        this.file.setReadOnly();
+        assert.strictEqual(modeOf(this.file.path), 0o400);
+    });
+
+    it('descends into directories without following symlinks', async function () {
+        const dir = join(this.dir, 'tree');
+        const outside = join(this.dir, 'outside');
+        mkdirSync(join(dir, 'sub'), { recursive: true });
+        writeFileSync(join(dir, 'sub', 'a.txt'), 'a');
+        writeFileSync(outside, 'b');
+        chmodSync(join(dir, 'sub', 'a.txt'), 0o666);
+        chmodSync(outside, 0o666);
+        symlinkSync(outside, join(dir, 'link'));
+        await new File({ path: dir }).promises.setPermissions('go-w', { recursive: true });
+        assert.strictEqual(modeOf(join(dir, 'sub', 'a.txt')), 0o644);
+        assert.strictEqual(modeOf(outside), 0o666);
+        new File({ path: dir }).setExecutable(false, false, null, { recursive: true });
+        assert.strictEqual(modeOf(join(dir, 'sub')) & 0o111, 0);
+        assert.strictEqual(modeOf(dir) & 0o111, 0);
+        chmodSync(dir, 0o755);
+        chmodSync(join(dir, 'sub'), 0o755);
+    });
+
+    it('reports invalid permissions', function (done) {
+        this.file.setPermissions('u+q', (code, err) => {
+            assert.strictEqual(code, ERROR);
+            assert.ok(err instanceof IllegalArgumentError);
+            assert.strictEqual(modeOf(this.file.path), 0o640);
+            done();
+        });
+    });
+});
@@ -0,0 +1,53 @@
+/** @babel */
+import assert from "assert";
+import {mkdirSync, renameSync, unlinkSync, writeFileSync} from "fs";
+import {join} from "path";
+import {FileWatcher} from "../index";
+import {tempDir} from "./helpers";
+
+const once = (watcher, event) => {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => { reject(new Error('no ' + event + ' event')); }, 5000);
+        watcher.once(event, (...args) => { clearTimeout(timer); resolve(args); });
+    });
+};
+
+describe('FileWatcher with usePolling', () => {
+
+    tempDir();
+
+    beforeEach(function () {
+        mkdirSync(join(this.dir, 'sub'));
+        this.path = join(this.dir, 'sub', 'a.txt');
+        writeFileSync(this.path, 'a');
+        this.watcher = new FileWatcher({ path: this.dir, recursive: true, usePolling: true, interval: 20 }).start();
+    });
+
+    afterEach(function () {
+        this.watcher.close();
+    });
+
+    it('reports changes, renames and removals in a tree', async function () {
+        let event = once(this.watcher, 'change');
+        writeFileSync(this.path, 'longer');
+        assert.deepStrictEqual((await event)[0], this.path);
+        event = once(this.watcher, 'rename');
+        const to = join(this.dir, 'sub', 'b.txt');
+        renameSync(this.path, to);
+        const [from, path, stats] = await event;
+        assert.deepStrictEqual([from, path], [this.path, to]);
+        assert.ok(stats.isFile());
+        event = once(this.watcher, 'unlink');
+        unlinkSync(to);
+        assert.deepStrictEqual((await event)[0], to);
+    });
+
+    it('reports new directories and stops polling on close', async function () {
+        const event = once(this.watcher, 'addDir');
+        mkdirSync(join(this.dir, 'sub', 'deep'));
+        assert.strictEqual((await event)[0], join(this.dir, 'sub', 'deep'));
+        this.watcher.close();
+        assert.strictEqual(this.watcher.poller, null);
+        assert.ok(this.watcher.isClosed());
+    });
+});
@@ -0,0 +1,48 @@
+/** @babel */
+import assert from "assert";
+import {existsSync, mkdirSync, readFileSync, writeFileSync} from "fs";
+import {join} from "path";
+import {File, FileNotFoundError, SUCCESS} from "../index";
+import {tempDir} from "./helpers";
+
+describe('promise facade', () => {
+
+    tempDir();
+
+    it('resolves instance methods with their result', async function () {
+        const file = new File({ path: join(this.dir, 'a.txt') });
+        writeFileSync(file.getPath(), 'hello');
+        assert.strictEqual(await file.promises.exists(), true);
+        assert.strictEqual(await file.promises.isDir(), false);
+        assert.strictEqual(String(await file.promises.getContent()), 'hello');
+        assert.deepStrictEqual(await new File({ path: this.dir }).promises.list(), ['a.txt']);
+    });
+
+    it('resolves static methods and keeps the callback form working', async function () {
+        const dir = join(this.dir, 'x');
+        await File.promises.mkdir({ src: dir });
+        assert.ok(existsSync(dir));
+        await new Promise((resolve) => {
+            File.stat({ src: dir, onStat: (code, stats) => {
+                assert.strictEqual(code, SUCCESS);
+                assert.ok(stats.isDirectory());
+                resolve();
+            } });
+        });
+    });
+
+    it('rejects with a typed error', async function () {
+        await assert.rejects(new File({ path: join(this.dir, 'missing') }).promises.getContent(),
+            (err) => { return err instanceof FileNotFoundError && err.code === 'ENOENT'; });
+    });
+
+    it('removes trees and renames', async function () {
+        mkdirSync(join(this.dir, 'd', 'e'), { recursive: true });
+        writeFileSync(join(this.dir, 'd', 'e', 'f'), 'f');
+        await new File({ path: join(this.dir, 'd') }).promises.renameTo(join(this.dir, 'g'));
+        assert.strictEqual(readFileSync(join(this.dir, 'g', 'e', 'f'), 'utf8'), 'f');
+        await File.promises.rimraf({ src: join(this.dir, 'g') });
+        assert.ok(!existsSync(join(this.dir, 'g')));
+    });
+
+});
@@ -0,0 +1,133 @@
+/** @babel */
+import assert from "assert";
+import {readFileSync, writeFileSync} from "fs";
+import {join} from "path";
+import {EndOfFileError, File, IllegalArgumentError, RandomAccessFile, SUCCESS} from "../index";
+import {tempDir} from "./helpers";
+
+describe('RandomAccessFile', () => {
+
+    tempDir();
+
+    beforeEach(function () {
+        this.path = join(this.dir, 'data.bin');
+        writeFileSync(this.path, '');
+    });
+
+    it('writes and reads typed values in both byte orders', function () {
+        const file = new RandomAccessFile({ path: this.path, mode: 'rw' });
+        file.open();
+        file.writeInt32(-2);
+        file.writeUInt16(0xbeef, true);
+        file.writeDouble(Math.PI);
+        file.writeBigInt64(-3n);
+        file.seek(0);
+        assert.strictEqual(file.readInt32(), -2);
+        assert.strictEqual(file.readUInt16(true), 0xbeef);
+        assert.strictEqual(file.readDouble(), Math.PI);
+        assert.strictEqual(file.readBigInt64(), -3n);
+        file.close();
+    });
+
+    it('accepts the sized float names as aliases', function () {
+        const file = new RandomAccessFile({ path: this.path, mode: 'rw' });
+        file.open();
+        file.writeFloat32(1.5);
+        file.writeFloat64(Math.E);
+        assert.strictEqual(file.length(), 12);
+        file.seek(0);
+        assert.strictEqual(file.readFloat(), 1.5);
+        assert.strictEqual(file.readFloat64(), Math.E);
+        file.seek(0);
+        assert.strictEqual(file.readFloat32(), 1.5);
+        file.close();
+    });
+
+    it('treats an explicit zero length as a no-op', function () {
+        writeFileSync(this.path, 'abc');
+        const file = new RandomAccessFile({ path: this.path, mode: 'rw' });
+        file.open();
+        const { readFd, writeFd } = File;
+        File.readFd = File.writeFd = () => { throw new Error('unexpected I/O'); };
+        try {
+            const b = Buffer.from('xyz');
+            assert.strictEqual(file.read(b, 1, 0), 0);
+            assert.strictEqual(file.readFully(b, 3, 0), 0);
+            assert.strictEqual(file.write(b, 0, 0), SUCCESS);
+            assert.strictEqual(b.toString(), 'xyz');
+        } finally {
+            File.readFd = readFd;
+            File.writeFd = writeFd;
+        }
+        assert.strictEqual(file.getFilePointer(), 0);
+        file.close();
+        assert.strictEqual(readFileSync(this.path, 'utf8'), 'abc');
+    });
+
+    it('reads fully from an offset and fails at the end of the file', function () {
+        writeFileSync(this.path, 'abcdef');
+        const file = new RandomAccessFile({ path: this.path });
+        file.open();
+        const b = Buffer.alloc(6, '.');
+        assert.strictEqual(file.readFully(b, 2), 4);
+        assert.strictEqual(b.toString(), '..abcd');
+        assert.strictEqual(file.read(b, 0), 2);
+        assert.strictEqual(b.toString(), 'efabcd');
+        assert.strictEqual(file.read(b), -1);
+        file.seek(4);
+        assert.throws(() => { file.readFully(Buffer.alloc(3)); }, EndOfFileError);
+        file.close();
+    });
+
+    it('round-trips UTF strings and rejects truncated ones', function () {
+        const file = new RandomAccessFile({ path: this.path, mode: 'rw' });
+        file.open();
+        file.writeUTF('h\u00e9llo \u263a');
+        file.writeUTF('');
+        assert.strictEqual(file.length(), 2 + 10 + 2);
+        file.seek(0);
+        assert.strictEqual(file.readUTF(), 'h\u00e9llo \u263a');
+        assert.strictEqual(file.readUTF(), '');
+        file.seek(0);
+        file.setLength(6);
+        assert.throws(() => { file.readUTF(); }, EndOfFileError);
+        file.close();
+    });
+
+    it('truncates and extends with setLength', function () {
+        writeFileSync(this.path, 'abcdef');
+        const file = new RandomAccessFile({ path: this.path, mode: 'rw' });
+        file.open();
+        assert.strictEqual(file.length(), 6);
+        file.seek(5);
+        file.setLength(3);
+        assert.strictEqual(file.length(), 3);
+        assert.strictEqual(file.getFilePointer(), 3);
+        file.setLength(5);
+        assert.strictEqual(file.length(), 5);
+        assert.strictEqual(file.getFilePointer(), 3);
+        file.close();
+        assert.deepStrictEqual(readFileSync(this.path), Buffer.from('abc\0\0'));
+    });
+
+    ['rws', 'rwd'].forEach((mode) => {
+        it('writes through in ' + mode + ' mode', function () {
+            const path = join(this.dir, mode + '.bin');
+            const file = new RandomAccessFile({ path, mode });
+            assert.ok(file.open() >= 0);
+            file.writeInt32(42);
+            assert.strictEqual(readFileSync(path).readInt32BE(0), 42);
+            file.seek(0);
+            assert.strictEqual(file.readInt32(), 42);
+            file.close();
+        });
+    });
+
+    it('rejects unknown modes and writes in read-only mode', function () {
+        assert.throws(() => { new RandomAccessFile({ path: this.path, mode: 'w' }); }, IllegalArgumentError);
+        const file = new RandomAccessFile({ path: this.path });
+        file.open();
+        assert.throws(() => { file.writeInt8(1); });
+        file.close();
+    });
+});
@@ -0,0 +1,52 @@
+/** @babel */
+import assert from "assert";
+import {existsSync, mkdirSync, realpathSync, symlinkSync, writeFileSync} from "fs";
+import {homedir} from "os";
+import {join, parse} from "path";
+import {AccessDeniedError, File, SUCCESS} from "../index";
+import {tempDir} from "./helpers";
+
+describe('File.rimraf', () => {
+
+    tempDir();
+
+    beforeEach(function () {
+        this.dir = realpathSync(this.dir);
+        this.tree = join(this.dir, 'tree');
+        this.outside = join(this.dir, 'outside');
+        mkdirSync(join(this.tree, 'sub'), { recursive: true });
+        mkdirSync(this.outside);
+        writeFileSync(join(this.tree, 'sub', 'a.txt'), 'a');
+        writeFileSync(join(this.outside, 'keep.txt'), 'keep');
+        symlinkSync(this.outside, join(this.tree, 'link'));
+    });
+
+    it('unlinks symlinks instead of traversing them', async function () {
+        assert.strictEqual(new File({ path: this.tree }).destroyDir(), SUCCESS);
+        assert.strictEqual(existsSync(this.tree), false);
+        assert.strictEqual(existsSync(join(this.outside, 'keep.txt')), true);
+        const link = join(this.dir, 'dirlink');
+        symlinkSync(this.outside, link);
+        await File.promises.rimraf({ src: link + '/' });
+        assert.strictEqual(existsSync(link), false);
+        assert.strictEqual(existsSync(join(this.outside, 'keep.txt')), true);
+    });
+
+    it('refuses the filesystem root and the home directory', function () {
+        assert.throws(() => { File.checked.rimraf({ src: parse(this.dir).root }); }, AccessDeniedError);
+        assert.throws(() => { File.checked.rimraf({ src: homedir() }); }, AccessDeniedError);
+    });
+
+    it('stays inside root, also through symlinked parents', function (done) {
+        assert.throws(() => {
+            new File({ path: this.outside }).checked.destroyDir({ root: this.tree });
+        }, AccessDeniedError);
+        new File({ path: join(this.tree, 'link', 'keep.txt') }).destroyDir((code, err) => {
+            assert.ok(err instanceof AccessDeniedError);
+            assert.strictEqual(existsSync(join(this.outside, 'keep.txt')), true);
+            assert.strictEqual(new File({ path: join(this.tree, 'sub') }).destroyDir(null, { root: this.tree }), SUCCESS);
+            assert.strictEqual(existsSync(join(this.tree, 'sub')), false);
+            done();
+        }, { root: this.tree });
+    });
+});
@@ -0,0 +1,81 @@
+/** @babel */
+import assert from "assert";
+import {closeSync, fstatSync, openSync, readFileSync, writeFileSync} from "fs";
+import {join} from "path";
+import {ERROR, File, FileOutputStream, IllegalArgumentError, SUCCESS} from "../index";
+import {tempDir} from "./helpers";
+
+const finish = (stream, data) => {
+    return new Promise((resolve, reject) => {
+        stream.on('error', reject);
+        stream.end(data, resolve);
+    });
+};
+
+describe('File#getOutputStream', () => {
+
+    tempDir();
+
+    beforeEach(function () {
+        this.path = join(this.dir, 'data.txt');
+        writeFileSync(this.path, 'hello world');
+    });
+
+    it('truncates by default', async function () {
+        await finish(new File({ path: this.path }).getOutputStream(), 'bye');
+        assert.strictEqual(readFileSync(this.path, 'utf8'), 'bye');
+    });
+
+    it('patches in place when a start offset is given', async function () {
+        await finish(new File({ path: this.path }).getOutputStream({ start: 6 }), 'there');
+        assert.strictEqual(readFileSync(this.path, 'utf8'), 'hello there');
+    });
+
+    it('keeps explicit flags with a start offset', async function () {
+        await finish(new File({ path: this.path }).getOutputStream({ start: 0, flags: 'w' }), 'x');
+        assert.strictEqual(readFileSync(this.path, 'utf8'), 'x');
+    });
+});
+
+describe('FileOutputStream', () => {
+
+    tempDir();
+
+    it('writes nothing for an explicit zero length', function () {
+        const path = join(this.dir, 'out.txt');
+        const stream = new FileOutputStream({ path });
+        stream.open();
+        assert.strictEqual(stream.write('abc', 1, 0), SUCCESS);
+        assert.strictEqual(stream.write('abc', 1), SUCCESS);
+        assert.strictEqual(stream.close(), SUCCESS);
+        assert.strictEqual(readFileSync(path, 'utf8'), 'bc');
+    });
+
+    it('leaves a borrowed descriptor open and cannot reopen it', function (done) {
+        const path = join(this.dir, 'out.txt');
+        const fd = openSync(path, 'w');
+        try {
+            const stream = new FileOutputStream({ fd });
+            assert.strictEqual(stream.write('abc'), SUCCESS);
+            assert.strictEqual(stream.close(), SUCCESS);
+            assert.strictEqual(readFileSync(path, 'utf8'), 'abc');
+            assert.ok(fstatSync(fd).isFile());
+            assert.strictEqual(stream.open(), ERROR);
+            assert.ok(!stream.isOpen());
+            stream.open((code, err) => {
+                assert.strictEqual(code, ERROR);
+                assert.ok(err instanceof IllegalArgumentError);
+                done();
+            });
+        } finally {
+            closeSync(fd);
+        }
+    });
+
+    it('closes a descriptor it was given ownership of', function () {
+        const fd = openSync(join(this.dir, 'out.txt'), 'w');
+        const stream = new FileOutputStream({ fd, owner: true });
+        assert.strictEqual(stream.close(), SUCCESS);
+        assert.throws(() => { fstatSync(fd); }, (err) => { return err.code === 'EBADF'; });
+    });
+});
@@ -0,0 +1,105 @@
+/** @babel */
+import assert from "assert";
+import {existsSync, mkdirSync, readFileSync, readlinkSync, symlinkSync, writeFileSync} from "fs";
+import {join} from "path";
+import {File} from "../index";
+import {tempDir} from "./helpers";
+
+const TYPES = { file: '0', link: '1', symlink: '2', dir: '5' };
+
+const tarEntry = (name, { type='file', linkname='', data='' }={}) => {
+    const body = Buffer.from(data);
+    const header = Buffer.alloc(512);
+    header.write(name, 0, 100);
+    header.write((type === 'dir' ? '0000755' : '0000644') + '\0', 100);
+    header.write('0000000\0', 108);
+    header.write('0000000\0', 116);
+    header.write(body.length.toString(8).padStart(11, '0') + '\0', 124);
+    header.write('00000000000\0', 136);
+    header.write('        ', 148);
+    header.write(TYPES[type], 156);
+    header.write(linkname, 157, 100);
+    header.write('ustar\0' + '00', 257);
+    let sum = 0;
+    for (let byte of header) {
+        sum += byte;
+    }
+    header.write(sum.toString(8).padStart(6, '0') + '\0 ', 148);
+    return Buffer.concat([header, body, Buffer.alloc((512 - body.length % 512) % 512)]);
+};
+
+const tarOf = (...entries) => {
+    return Buffer.concat([...entries, Buffer.alloc(1024)]);
+};
+
+describe('File.untar', () => {
+
+    tempDir();
+
+    beforeEach(function () {
+        this.src = join(this.dir, 'archive.tar');
+        this.dst = join(this.dir, 'x', 'dst');
+        mkdirSync(this.dst, { recursive: true });
+    });
+
+    it('round-trips a tree with tar', async function () {
+        const tree = join(this.dir, 'tree');
+        mkdirSync(join(tree, 'sub'), { recursive: true });
+        writeFileSync(join(tree, 'sub', 'a.txt'), 'a');
+        symlinkSync('sub/a.txt', join(tree, 'link'));
+        await File.promises.tar({ src: tree, dst: this.src });
+        await File.promises.untar({ src: this.src, dst: this.dst, strip: 1 });
+        assert.strictEqual(readFileSync(join(this.dst, 'sub', 'a.txt'), 'utf8'), 'a');
+        assert.strictEqual(readlinkSync(join(this.dst, 'link')), 'sub/a.txt');
+    });
+
+    it('does not follow a symlink chain out of dst', async function () {
+        writeFileSync(this.src, tarOf(
+            tarEntry('b', { type: 'symlink', linkname: '.' }),
+            tarEntry('a', { type: 'symlink', linkname: 'b/..' }),
+            tarEntry('a/evil', { data: 'x' })));
+        await assert.rejects(File.promises.untar({ src: this.src, dst: this.dst }), /escapes/);
+        assert.ok(!existsSync(join(this.dir, 'x', 'evil')));
+    });
+
+    it('never writes through a symlink from the same archive', async function () {
+        writeFileSync(this.src, tarOf(
+            tarEntry('sub', { type: 'dir' }),
+            tarEntry('link', { type: 'symlink', linkname: 'sub' }),
+            tarEntry('link/file', { data: 'x' })));
+        await assert.rejects(File.promises.untar({ src: this.src, dst: this.dst }), /written through symlink/);
+        assert.ok(!existsSync(join(this.dst, 'sub', 'file')));
+    });
+
+    it('refuses parents that lead out of dst through existing links', async function () {
+        mkdirSync(join(this.dir, 'outside'));
+        symlinkSync(join(this.dir, 'outside'), join(this.dst, 'out'));
+        writeFileSync(this.src, tarOf(tarEntry('out/evil', { data: 'x' })));
+        await assert.rejects(File.promises.untar({ src: this.src, dst: this.dst }), /escapes/);
+        assert.ok(!existsSync(join(this.dir, 'outside', 'evil')));
+    });
+
+    it('checks hard link sources the same way', async function () {
+        mkdirSync(join(this.dir, 'outside'));
+        writeFileSync(join(this.dir, 'outside', 'secret'), 'secret');
+        symlinkSync(join(this.dir, 'outside'), join(this.dst, 'out'));
+        writeFileSync(this.src, tarOf(tarEntry('copy', { type: 'link', linkname: 'out/secret' })));
+        await assert.rejects(File.promises.untar({ src: this.src, dst: this.dst }), /escapes/);
+        assert.ok(!existsSync(join(this.dst, 'copy')));
+    });
+
+    it('skips and reports escaping symlinks when onError is given', async function () {
+        writeFileSync(this.src, tarOf(
+            tarEntry('abs', { type: 'symlink', linkname: '/etc/passwd' }),
+            tarEntry('ok.txt', { data: 'ok' })));
+        const errors = [];
+        const names = await File.promises.untar({
+            src: this.src,
+            dst: this.dst,
+            onError: (err) => { errors.push(err); }
+        });
+        assert.deepStrictEqual(names, ['ok.txt']);
+        assert.strictEqual(errors.length, 1);
+        assert.ok(!existsSync(join(this.dst, 'abs')));
+    });
+});
@@ -0,0 +1,50 @@
+/** @babel */
+import assert from "assert";
+import {createHash} from "crypto";
+import {writeFileSync} from "fs";
+import {join} from "path";
+import {ERROR, File, FileNotFoundError, IllegalArgumentError, SUCCESS} from "../index";
+import {tempDir} from "./helpers";
+
+const sha256 = (data) => { return createHash('sha256').update(data).digest('hex'); };
+
+describe('File#verify', () => {
+
+    tempDir();
+
+    beforeEach(function () {
+        this.file = new File({ path: join(this.dir, 'app.tar') });
+        writeFileSync(this.file.path, 'payload');
+    });
+
+    it('compares one or several checksums', async function () {
+        const md5 = createHash('md5').update('payload').digest('hex');
+        assert.strictEqual(this.file.verify(sha256('payload')), SUCCESS);
+        assert.strictEqual(this.file.verify(sha256('other')), ERROR);
+        assert.strictEqual(this.file.verify({ sha256: sha256('payload'), md5 }), SUCCESS);
+        assert.strictEqual(this.file.checked.verify(sha256('other')), false);
+        assert.strictEqual(this.file.checked.verify({ sha256: sha256('payload'), md5 }), true);
+        assert.strictEqual(await this.file.promises.verify({ sha256: sha256('payload'), md5: '00' }), false);
+    });
+
+    it('rejects an empty expected map', async function () {
+        assert.throws(() => { this.file.checked.verify({}); }, IllegalArgumentError);
+        assert.strictEqual(this.file.verify({}), ERROR);
+        await assert.rejects(this.file.promises.verify({}), IllegalArgumentError);
+    });
+
+    it('tells read failures apart from mismatches', async function () {
+        const missing = new File({ path: join(this.dir, 'missing') });
+        assert.strictEqual(missing.verify(sha256('payload')), ERROR);
+        assert.throws(() => { missing.checked.verify(sha256('payload')); }, FileNotFoundError);
+        await assert.rejects(missing.promises.verify(sha256('payload')), FileNotFoundError);
+    });
+
+    it('reports a missing file to the callback', function (done) {
+        new File({ path: join(this.dir, 'missing') }).verify(sha256('payload'), (code, err) => {
+            assert.strictEqual(code, ERROR);
+            assert.ok(err instanceof FileNotFoundError);
+            done();
+        });
+    });
+});
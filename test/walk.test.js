@@ -0,0 +1,73 @@
+/** @babel */
+import assert from "assert";
+import {mkdirSync, symlinkSync, writeFileSync} from "fs";
+import {join, relative} from "path";
+import {File, FileNotFoundError} from "../index";
+import {tempDir} from "./helpers";
+
+const collect = async (iterable) => {
+    const result = [];
+    for await (let entry of iterable) {
+        result.push(entry);
+    }
+    return result;
+};
+
+describe('File.walk', () => {
+
+    tempDir();
+
+    beforeEach(function () {
+        mkdirSync(join(this.dir, 'a', 'node_modules', 'dep'), { recursive: true });
+        writeFileSync(join(this.dir, 'a', 'one.js'), '');
+        writeFileSync(join(this.dir, 'a', 'node_modules', 'dep', 'index.js'), '');
+        this.names = (entries) => {
+            return entries.map(({ file }) => { return relative(this.dir, file.path); });
+        };
+    });
+
+    it('yields the same entries sync and async in every order', async function () {
+        for (let order of ['pre', 'post', 'bfs']) {
+            const sync = this.names(Array.from(File.walkSync({ root: this.dir, order })));
+            const async = this.names(await collect(File.walk({ root: this.dir, order })));
+            assert.deepStrictEqual(async, sync);
+            assert.strictEqual(sync.length, 6);
+        }
+        const post = this.names(Array.from(File.walkSync({ root: this.dir, order: 'post' })));
+        assert.strictEqual(post[post.length - 1], '');
+    });
+
+    it('stops at maxDepth', function () {
+        const names = this.names(Array.from(File.walkSync({ root: this.dir, maxDepth: 1 })));
+        assert.deepStrictEqual(names, ['', 'a']);
+    });
+
+    it('prunes descent without hiding the pruned directory', async function () {
+        const prune = (file) => { return file.getName() === 'node_modules'; };
+        const expected = ['', 'a', join('a', 'node_modules'), join('a', 'one.js')];
+        const sync = this.names(Array.from(File.walkSync({ root: this.dir, prune }))).sort();
+        const async = this.names(await collect(File.walk({ root: this.dir, prune }))).sort();
+        assert.deepStrictEqual(sync, expected);
+        assert.deepStrictEqual(async, expected);
+    });
+
+    it('reports a failing entry to onError and keeps walking', async function () {
+        symlinkSync('missing', join(this.dir, 'a', 'dangling'));
+        const errors = [];
+        const onError = (err) => { errors.push(err); };
+        const sync = this.names(Array.from(File.walkSync({ root: this.dir, followSymlinks: true, onError })));
+        const async = this.names(await collect(File.walk({ root: this.dir, followSymlinks: true, onError })));
+        assert.strictEqual(sync.length, 6);
+        assert.deepStrictEqual(async, sync);
+        assert.strictEqual(errors.length, 2);
+        errors.forEach((err) => { assert.ok(err instanceof FileNotFoundError); });
+    });
+
+    it('ends the walk when onError throws or the root is missing', async function () {
+        symlinkSync('missing', join(this.dir, 'a', 'dangling'));
+        const onError = (err) => { throw err; };
+        assert.throws(() => { Array.from(File.walkSync({ root: this.dir, followSymlinks: true, onError })); },
+            FileNotFoundError);
+        await assert.rejects(collect(File.walk({ root: join(this.dir, 'none') })), FileNotFoundError);
+    });
+});
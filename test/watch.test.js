@@ -0,0 +1,84 @@
+/** @babel */
+import assert from "assert";
+import {writeFileSync} from "fs";
+import {join} from "path";
+import {File} from "../index";
+import {tempDir} from "./helpers";
+
+const nextEvent = (events) => {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => { reject(new Error('no watch event')); }, 5000);
+        events.wait = (args) => { clearTimeout(timer); resolve(args); };
+    });
+};
+
+describe('File#watch', () => {
+
+    tempDir();
+
+    beforeEach(function () {
+        this.file = new File({ path: this.dir });
+        this.events = {};
+    });
+
+    afterEach(function () {
+        this.file.unwatch();
+    });
+
+    it('reports events with full paths and stats', async function () {
+        const event = nextEvent(this.events);
+        this.file.watch({ usePolling: true, interval: 20, onAccess: (...args) => { this.events.wait(args); } });
+        writeFileSync(join(this.dir, 'new.txt'), '');
+        const [name, path, stats] = await event;
+        assert.strictEqual(name, 'add');
+        assert.strictEqual(path, join(this.dir, 'new.txt'));
+        assert.ok(stats.isFile());
+    });
+
+    it('keeps the fs.watch style callback when an encoding is passed', async function () {
+        const warnings = [];
+        const emitWarning = process.emitWarning;
+        process.emitWarning = (message, type) => { warnings.push({ message, type }); };
+        const event = nextEvent(this.events);
+        try {
+            this.file.watch({
+                usePolling: true,
+                interval: 20,
+                encoding: 'utf8',
+                onAccess: (...args) => { this.events.wait(args); }
+            });
+        } finally {
+            process.emitWarning = emitWarning;
+        }
+        writeFileSync(join(this.dir, 'new.txt'), '');
+        assert.deepStrictEqual(await event, ['rename', 'new.txt']);
+        assert.strictEqual(warnings.length, 1);
+        assert.strictEqual(warnings[0].type, 'DeprecationWarning');
+    });
+
+    it('routes watcher errors to onAccess or keeps them from crashing', function () {
+        const errors = [];
+        const watched = new File({ path: join(this.dir, 'other') });
+        writeFileSync(watched.path, '');
+        watched.watch({ usePolling: true, onAccess: (code, err) => { errors.push([code, err]); } });
+        watched.watcher.emit('error', new Error('boom'));
+        watched.unwatch();
+        assert.strictEqual(errors.length, 1);
+        assert.strictEqual(errors[0][0], 0);
+        const watcher = this.file.watch({ usePolling: true });
+        assert.doesNotThrow(() => { watcher.emit('error', new Error('boom')); });
+    });
+
+    it('unwatches quietly', function () {
+        const log = console.log;
+        const lines = [];
+        console.log = (...args) => { lines.push(args); };
+        try {
+            this.file.watch({ usePolling: true });
+            this.file.unwatch();
+        } finally {
+            console.log = log;
+        }
+        assert.deepStrictEqual(lines, []);
+    });
+});
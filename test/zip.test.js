@@ -0,0 +1,140 @@
+/** @babel */
+import assert from "assert";
+import {existsSync, mkdirSync, readFileSync, readlinkSync, symlinkSync, writeFileSync} from "fs";
+import {join} from "path";
+import {crc32} from "zlib";
+import {FileNotOpenError, ZipFile} from "../index";
+import {tempDir} from "./helpers";
+
+const MODES = { file: 0o100644, symlink: 0o120777, dir: 0o040755 };
+
+// stored entries only, enough to lay out a hostile archive in a chosen order
+const zipOf = (...entries) => {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+    entries.forEach(({ name, type='file', data='' }) => {
+        const body = Buffer.from(data);
+        const nameBuffer = Buffer.from(name);
+        const crc = crc32(body);
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(body.length, 18);
+        local.writeUInt32LE(body.length, 22);
+        local.writeUInt16LE(nameBuffer.length, 26);
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE((3 << 8) | 20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x21, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(body.length, 20);
+        central.writeUInt32LE(body.length, 24);
+        central.writeUInt16LE(nameBuffer.length, 28);
+        central.writeUInt32LE((MODES[type] << 16) >>> 0, 38);
+        central.writeUInt32LE(offset, 42);
+        locals.push(local, nameBuffer, body);
+        centrals.push(central, nameBuffer);
+        offset += 30 + nameBuffer.length + body.length;
+    });
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...locals, directory, end]);
+};
+
+const extractAll = (zip, options) => {
+    return new Promise((resolve, reject) => {
+        zip.extractAll({ ...options, onExtract: (code, result) => { code === 1 ? resolve(result) : reject(result); } });
+    });
+};
+
+const extract = (zip, name, dst) => {
+    return new Promise((resolve, reject) => {
+        zip.extract(name, dst, (code, result) => { code === 1 ? resolve(result) : reject(result); });
+    });
+};
+
+describe('ZipFile', () => {
+
+    tempDir();
+
+    beforeEach(function () {
+        this.src = join(this.dir, 'archive.zip');
+        this.dst = join(this.dir, 'x', 'dst');
+        mkdirSync(this.dst, { recursive: true });
+        this.open = (...entries) => {
+            writeFileSync(this.src, zipOf(...entries));
+            this.zip = new ZipFile({ path: this.src });
+            assert.strictEqual(this.zip.open(), 1);
+            return this.zip;
+        };
+    });
+
+    afterEach(function () {
+        if (this.zip) {
+            this.zip.close();
+        }
+    });
+
+    it('round-trips a tree through ZipFile.create', async function () {
+        const tree = join(this.dir, 'tree');
+        mkdirSync(join(tree, 'sub'), { recursive: true });
+        writeFileSync(join(tree, 'sub', 'a.txt'), 'a');
+        symlinkSync('sub/a.txt', join(tree, 'link'));
+        await new Promise((resolve, reject) => {
+            ZipFile.create({ src: tree, dst: this.src, onCreate: (code, err) => { code === 1 ? resolve() : reject(err); } });
+        });
+        this.zip = new ZipFile({ path: this.src });
+        this.zip.open();
+        await extractAll(this.zip, { dst: this.dst, strip: 1 });
+        assert.strictEqual(readFileSync(join(this.dst, 'sub', 'a.txt'), 'utf8'), 'a');
+        assert.strictEqual(readlinkSync(join(this.dst, 'link')), 'sub/a.txt');
+    });
+
+    it('does not follow a symlink chain out of dst', async function () {
+        const zip = this.open(
+            { name: 'b', type: 'symlink', data: '.' },
+            { name: 'a', type: 'symlink', data: 'b/..' },
+            { name: 'a/evil', data: 'x' });
+        await assert.rejects(extractAll(zip, { dst: this.dst }), /escapes/);
+        assert.ok(!existsSync(join(this.dir, 'x', 'evil')));
+    });
+
+    it('never writes through a symlink from the same archive', async function () {
+        const zip = this.open(
+            { name: 'sub/', type: 'dir' },
+            { name: 'link', type: 'symlink', data: 'sub' },
+            { name: 'link/file', data: 'x' });
+        await assert.rejects(extractAll(zip, { dst: this.dst }), /written through symlink/);
+        assert.ok(!existsSync(join(this.dst, 'sub', 'file')));
+    });
+
+    it('skips and reports escaping symlinks when onError is given', async function () {
+        const zip = this.open({ name: 'abs', type: 'symlink', data: '/etc' }, { name: 'ok.txt', data: 'ok' });
+        const errors = [];
+        const names = await extractAll(zip, { dst: this.dst, onError: (err) => { errors.push(err); } });
+        assert.deepStrictEqual(names, ['ok.txt']);
+        assert.strictEqual(errors.length, 1);
+    });
+
+    it('checks symlinks extracted on their own against their directory', async function () {
+        const zip = this.open({ name: 'up', type: 'symlink', data: '../..' }, { name: 'ok.txt', data: 'ok' });
+        await assert.rejects(extract(zip, 'up', join(this.dst, 'up')), /escapes/);
+        assert.ok(!existsSync(join(this.dst, 'up')));
+        await extract(zip, 'ok.txt', join(this.dst, 'copy.txt'));
+        assert.strictEqual(readFileSync(join(this.dst, 'copy.txt'), 'utf8'), 'ok');
+    });
+
+    it('reports a closed archive to the callback', async function () {
+        const zip = new ZipFile({ path: this.src });
+        await assert.rejects(extractAll(zip, { dst: this.dst }), FileNotOpenError);
+        await assert.rejects(extract(zip, 'a', this.dst), FileNotOpenError);
+    });
+});